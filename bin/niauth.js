@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * @file niauth command-line tool
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+require('../lib/CLI.js').main(process.argv.slice(2)).then(function(code) {
+   process.exitCode = code;
+});
@@ -0,0 +1,313 @@
+/**
+ * @file Type definitions for niauth
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+/** An NIAuth SRP group: an NIAuth prime index ("0"-"4") or an RFC 5054 group. */
+export type SRPGroupId = '0' | '1' | '2' | '3' | '4' | 0 | 1 | 2 | 3 | 4 |
+   'rfc5054-1024' | 'rfc5054-1536' | 'rfc5054-2048' | 'rfc5054-3072' | 'rfc5054-4096';
+
+export type HashName = 'SHA-1' | 'SHA-256';
+
+export type CryptoBackendName = 'js' | 'native';
+
+/** A permission on the target. */
+export interface Permission {
+   name: string;
+   /** Built in to the target, rather than added on it. */
+   builtin: boolean;
+   /** -1 if the target didn't say. */
+   id: number;
+}
+
+/** A user account on the target. */
+export interface User {
+   name: string;
+   id: number;
+   /** Names of the groups the user belongs to. */
+   groups: string[];
+}
+
+/** A group (role) on the target. */
+export interface Group {
+   name: string;
+   builtin: boolean;
+   id: number;
+   permissions: PermissionSet;
+}
+
+/** An immutable set of permissions. */
+export declare class PermissionSet {
+   constructor(permissions?: ReadonlyArray<Partial<Permission> & { name: string }>);
+   readonly size: number;
+   has(name: string): boolean;
+   hasAll(names: ReadonlyArray<string>): boolean;
+   hasAny(names: ReadonlyArray<string>): boolean;
+   get(name: string): Permission | undefined;
+   getById(id: number | string): Permission | undefined;
+   names(): string[];
+   toArray(): Permission[];
+   builtin(): Permission[];
+   custom(): Permission[];
+   diff(previous?: PermissionSet): { added: Permission[]; removed: Permission[] };
+   equals(other?: PermissionSet): boolean;
+}
+
+/** Cookie storage for environments without a browser (e.g. Node.js). */
+export declare class CookieJar {
+   constructor();
+   cookies: { [name: string]: string };
+   setCookie(str: string): void;
+   setCookiesFromResponse(response: Response): void;
+   get(name: string): string | undefined;
+   getCookieHeader(): string;
+   toJSON(): { [name: string]: string };
+   clear(): void;
+}
+
+/** The Storage methods that the session cache uses. */
+export interface SessionStorageLike {
+   getItem(key: string): string | null;
+   setItem(key: string, value: string): void;
+   removeItem(key: string): void;
+}
+
+/** What to do when a request fails without an answer from the target. */
+export interface RetryPolicy {
+   /** How many times to try again; 0 by default. */
+   retries?: number;
+   /** Milliseconds before the first retry, doubling after that; 500 by default. */
+   delay?: number;
+   /** The longest to wait between tries; 5000 by default. */
+   maxDelay?: number;
+   /** Which HTTP methods may be retried; GET and HEAD by default. */
+   methods?: string[];
+}
+
+/** Options that every call to the target takes. */
+export interface RequestOptions {
+   signal?: AbortSignal;
+   /** Milliseconds to wait for each request; 0 to wait forever. */
+   timeout?: number;
+   /** A policy, or how many times to retry. */
+   retry?: RetryPolicy | number;
+}
+
+export type LogLevel = 'error' | 'warn' | 'info' | 'debug';
+
+/** Where log messages go, e.g. console. Missing levels fall back to log(). */
+export interface Logger {
+   log?(message: string, details?: unknown): void;
+   error?(message: string, details?: unknown): void;
+   warn?(message: string, details?: unknown): void;
+   info?(message: string, details?: unknown): void;
+   debug?(message: string, details?: unknown): void;
+}
+
+/** A step recorded in a trace. Passwords, SRP secrets and cookies are left out. */
+export interface TraceEntry {
+   /** ISO 8601 */
+   time: string;
+   step: string;
+   details: { [name: string]: unknown };
+}
+
+export interface Credentials {
+   username: string;
+   password: string;
+}
+
+export interface NIAuthClientOptions {
+   /** URL of the target; defaults to the origin of the current page. */
+   baseUrl?: string;
+   /** fetch() credentials mode. */
+   credentials?: RequestCredentials;
+   fetch?: (input: string, init?: RequestInit) => Promise<Response>;
+   cookieJar?: CookieJar;
+   getCredentials?: () => Credentials | undefined | PromiseLike<Credentials | undefined>;
+   rememberCredentials?: boolean;
+   /** Where to cache the user name and permissions; null to not cache them. */
+   storage?: SessionStorageLike | null;
+   /** Milliseconds to wait for each request; 30 seconds by default. */
+   timeout?: number;
+   retry?: RetryPolicy | number;
+   /** Where to log; nothing is logged by default. */
+   logger?: Logger;
+   logLevel?: LogLevel;
+   /** Start a trace straight away. */
+   trace?: boolean;
+   /** Follow logins, logouts and permission changes in other tabs; true unless there's a cookieJar. */
+   syncTabs?: boolean;
+}
+
+export interface LoginOptions extends RequestOptions {
+   /** Log out a different user who is already logged in, instead of failing. */
+   switchUser?: boolean;
+}
+
+export interface PasswordOptions extends RequestOptions {
+   srpGroup?: SRPGroupId;
+   hash?: HashName;
+}
+
+export interface NIAuthEvents {
+   login: (username: string) => void;
+   logout: (username: string) => void;
+   sessionExpired: (username: string) => void;
+   permissionsChanged: (newPermissions: PermissionSet | undefined,
+      oldPermissions: PermissionSet | undefined) => void;
+   error: (err: Error) => void;
+}
+
+/** A client for one target, with its own session state. */
+export declare class NIAuthClient {
+   constructor(options?: NIAuthClientOptions);
+
+   static Permission: new (xmlNode: Node) => Permission;
+   static PermissionSet: typeof PermissionSet;
+   static User: new (xmlNode: Node) => User;
+   static Group: new (xmlNode: Node) => Group;
+
+   baseUrl: string;
+   cookieJar: CookieJar | undefined;
+   storage: SessionStorageLike | null | undefined;
+   timeout: number;
+   retry: RetryPolicy | number | undefined;
+   loggedInUser: string;
+   cachedPermissions: PermissionSet | undefined;
+
+   on<E extends keyof NIAuthEvents>(event: E, listener: NIAuthEvents[E]): this;
+   off<E extends keyof NIAuthEvents>(event: E, listener: NIAuthEvents[E]): this;
+   listenerCount(event: keyof NIAuthEvents): number;
+
+   /** Resolves to the name of the user now logged in. */
+   login(username: string, password: string, options?: LoginOptions): Promise<string>;
+   logout(options?: RequestOptions): Promise<boolean>;
+   updateFromSession(options?: RequestOptions): Promise<boolean>;
+   updatePermissionsCache(options?: RequestOptions): Promise<boolean>;
+   getUserName(): string;
+   hasPermission(permName: string): boolean;
+   getPermissions(): PermissionSet;
+   getAggregateUserPermissions(username: string, options?: RequestOptions): Promise<PermissionSet>;
+   /** @experimental */
+   changePassword(oldPassword: string, newPassword: string, options?: PasswordOptions): Promise<boolean>;
+   authFetch(path: string, init?: RequestInit & RequestOptions): Promise<Response>;
+   startSessionMonitor(intervalMs: number): void;
+   stopSessionMonitor(): void;
+   stopTabSync(): void;
+   setLogger(logger?: Logger, level?: LogLevel): void;
+   startTrace(): void;
+   stopTrace(): TraceEntry[];
+   getTrace(): TraceEntry[];
+
+   /*
+    * Experimental, as is changePassword(): the LVWSAuthSvc endpoints these
+    * call aren't documented, and haven't been checked against a real
+    * target. See "Users and groups" in the README.
+    */
+   /** @experimental */
+   getUsers(options?: RequestOptions): Promise<User[]>;
+   /** @experimental */
+   getGroups(options?: RequestOptions): Promise<Group[]>;
+   /** @experimental */
+   addUser(username: string, password: string, options?: PasswordOptions): Promise<boolean>;
+   /** @experimental */
+   removeUser(username: string, options?: RequestOptions): Promise<boolean>;
+   /** @experimental */
+   setUserPassword(username: string, password: string, options?: PasswordOptions): Promise<boolean>;
+   /** @experimental */
+   addUserToGroup(username: string, group: string, options?: RequestOptions): Promise<boolean>;
+   /** @experimental */
+   removeUserFromGroup(username: string, group: string, options?: RequestOptions): Promise<boolean>;
+   /** @experimental */
+   grantPermission(group: string, permission: string, options?: RequestOptions): Promise<boolean>;
+   /** @experimental */
+   revokePermission(group: string, permission: string, options?: RequestOptions): Promise<boolean>;
+}
+
+/** Something to follow permission changes on: a client, or this module. */
+export interface PermissionSource {
+   on(event: 'permissionsChanged', listener: NIAuthEvents['permissionsChanged']): unknown;
+   off(event: 'permissionsChanged', listener: NIAuthEvents['permissionsChanged']): unknown;
+   getPermissions(): PermissionSet;
+}
+
+export type Redirect<R> = R | ((...args: any[]) => R);
+
+export interface PermissionGuardOptions<R = string> {
+   root?: ParentNode;
+   redirect?: Redirect<R>;
+}
+
+/** Hides or disables elements, and guards routes, by permission. */
+export declare class PermissionGuard<R = string> {
+   constructor(client: PermissionSource, options?: PermissionGuardOptions<R>);
+   start(): this;
+   stop(): void;
+   allows(required: string | ReadonlyArray<string>): boolean;
+   update(): void;
+   routeGuard(required: string | ReadonlyArray<string>, redirect?: Redirect<R>): (...args: any[]) => true | R;
+}
+
+/** The SRP parameters from a login challenge, as used by SRP.Client#setServerInfo. */
+export interface ChallengeInfo {
+   srpGroup: string;
+   modulus: import('./lib/SRP').BigInteger;
+   generator: import('./lib/SRP').BigInteger;
+   hash: HashName;
+   salt: number[];
+   serverPublicKey: import('./lib/SRP').BigInteger;
+   loginToken: string;
+}
+
+/** X-NI-AUTH-PARAMS header parsing and formatting. */
+export declare const AuthParams: {
+   parse(str: string): { [name: string]: string };
+   serialize(params: { [name: string]: string | number | undefined }): string;
+   decodeBase64(value: string, name: string): number[];
+   parseChallenge(str: string | null | undefined): ChallengeInfo;
+   parseProof(str: string | null | undefined): string | undefined;
+};
+
+export declare class NIAuthError extends Error {
+   constructor(message?: string);
+   code: string;
+}
+export declare class AuthenticationFailedError extends NIAuthError {}
+export declare class ServerAuthenticationFailedError extends NIAuthError {}
+export declare class AlreadyLoggedInError extends NIAuthError {
+   constructor(message?: string, username?: string);
+   username: string;
+}
+export declare class ProtocolError extends NIAuthError {}
+export declare class UnexpectedStatusError extends NIAuthError {
+   constructor(message?: string, status?: number);
+   status: number;
+}
+export declare class TimeoutError extends NIAuthError {
+   constructor(message?: string, timeout?: number);
+   /** How long we waited, in milliseconds. */
+   timeout: number;
+}
+
+export declare function getCryptoBackend(): CryptoBackendName;
+export declare function setCryptoBackend(name: CryptoBackendName): void;
+
+/* The rest works on the default client, for the origin of the current page. */
+export declare function login(username: string, password: string, options?: LoginOptions): Promise<string>;
+export declare function logout(options?: RequestOptions): Promise<boolean>;
+export declare function updateFromSession(options?: RequestOptions): Promise<boolean>;
+export declare function getUserName(): string;
+export declare function hasPermission(permName: string): boolean;
+export declare function getPermissions(): PermissionSet;
+export declare function getAggregateUserPermissions(username: string, options?: RequestOptions): Promise<PermissionSet>;
+export declare function authFetch(path: string, init?: RequestInit & RequestOptions): Promise<Response>;
+export declare function on<E extends keyof NIAuthEvents>(event: E, listener: NIAuthEvents[E]): NIAuthClient;
+export declare function off<E extends keyof NIAuthEvents>(event: E, listener: NIAuthEvents[E]): NIAuthClient;
+export declare function startSessionMonitor(intervalMs: number): void;
+export declare function stopSessionMonitor(): void;
+export declare function setLogger(logger?: Logger, level?: LogLevel): void;
+export declare function startTrace(): void;
+export declare function stopTrace(): TraceEntry[];
+export declare function getTrace(): TraceEntry[];
@@ -0,0 +1,42 @@
+/**
+ * @file NIAuthenticator main, as an ES module
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+// This wraps the CommonJS module rather than being a copy of it, so that
+// both kinds of import share one default client.
+import NIAuth from './index.js';
+
+export default NIAuth;
+
+export var NIAuthClient = NIAuth.NIAuthClient;
+export var CookieJar = NIAuth.CookieJar;
+export var AuthParams = NIAuth.AuthParams;
+export var PermissionSet = NIAuth.PermissionSet;
+export var PermissionGuard = NIAuth.PermissionGuard;
+export var NIAuthError = NIAuth.NIAuthError;
+export var AuthenticationFailedError = NIAuth.AuthenticationFailedError;
+export var ServerAuthenticationFailedError = NIAuth.ServerAuthenticationFailedError;
+export var AlreadyLoggedInError = NIAuth.AlreadyLoggedInError;
+export var ProtocolError = NIAuth.ProtocolError;
+export var UnexpectedStatusError = NIAuth.UnexpectedStatusError;
+export var TimeoutError = NIAuth.TimeoutError;
+export var getCryptoBackend = NIAuth.getCryptoBackend;
+export var setCryptoBackend = NIAuth.setCryptoBackend;
+export var updateFromSession = NIAuth.updateFromSession;
+export var getAggregateUserPermissions = NIAuth.getAggregateUserPermissions;
+export var login = NIAuth.login;
+export var logout = NIAuth.logout;
+export var hasPermission = NIAuth.hasPermission;
+export var getPermissions = NIAuth.getPermissions;
+export var getUserName = NIAuth.getUserName;
+export var authFetch = NIAuth.authFetch;
+export var on = NIAuth.on;
+export var off = NIAuth.off;
+export var startSessionMonitor = NIAuth.startSessionMonitor;
+export var stopSessionMonitor = NIAuth.stopSessionMonitor;
+export var setLogger = NIAuth.setLogger;
+export var startTrace = NIAuth.startTrace;
+export var stopTrace = NIAuth.stopTrace;
+export var getTrace = NIAuth.getTrace;
@@ -0,0 +1,234 @@
+/**
+ * @file X-NI-AUTH-PARAMS header parsing and formatting
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var Base64 = require('./Base64.js');
+var BigInteger = require('jsbn').BigInteger;
+var Crypto = require('./Crypto.js');
+var Errors = require('./Errors.js');
+var Primes = require('./Primes.js');
+var Utils = require('./Utils.js');
+
+var NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/* A comma that starts the next parameter, rather than being part of a value. */
+var NEXT_PARAM = /,(?=\s*[A-Za-z][A-Za-z0-9_-]*\s*=)/g;
+
+var has = function(obj, name) {
+   return Object.prototype.hasOwnProperty.call(obj, name);
+};
+
+/*
+ * Read a quoted value starting at str[start] (the opening quote).
+ *
+ * @returns {Object} value, and end (the index after the closing quote)
+ */
+var readQuoted = function(str, start, name) {
+   var value = '';
+   for (var i = start + 1; i < str.length; ++i) {
+      var c = str.charAt(i);
+      if (c === '"') {
+         return {value: value, end: i + 1};
+      }
+      if (c === '\\') {
+         ++i;
+         if (i === str.length) {
+            break;
+         }
+         c = str.charAt(i);
+      }
+      value += c;
+   }
+   throw new Errors.ProtocolError('unterminated quoted value for ' + name);
+};
+
+/**
+ * Split up a parameters string, such as the X-NI-AUTH-PARAMS header:
+ * "N=4,s=[base64],B=[base64],ss=[token]".
+ *
+ * Values may be quoted ("..." with backslash escapes). Unquoted values run
+ * up to the next ",name=", so they may contain "=" (base64 padding) and
+ * commas. Whitespace around names and values is ignored. Parameters we
+ * don't know about are returned along with the rest.
+ *
+ * @param {String} str
+ * @returns {Object} the values, by name
+ * @throws {ProtocolError} if str is empty, or a parameter is malformed or
+ *    given twice
+ */
+var parse = function(str) {
+   var ret = {};
+   var pos = 0;
+
+   if (typeof str !== 'string' || str.trim() === '') {
+      throw new Errors.ProtocolError('empty params string');
+   }
+
+   while (pos < str.length) {
+      var equals = str.indexOf('=', pos);
+      if (equals === -1) {
+         throw new Errors.ProtocolError('expected "name=value" at \'' + str.substr(pos) + '\'');
+      }
+
+      var name = str.substring(pos, equals).trim();
+      if (!NAME.test(name)) {
+         throw new Errors.ProtocolError('bad parameter name \'' + name + '\'');
+      }
+      if (has(ret, name)) {
+         throw new Errors.ProtocolError('parameter ' + name + ' given twice');
+      }
+
+      var start = equals + 1;
+      while (start < str.length && /\s/.test(str.charAt(start))) {
+         ++start;
+      }
+
+      var value;
+      if (str.charAt(start) === '"') {
+         var quoted = readQuoted(str, start, name);
+         var rest = str.substr(quoted.end).match(/^\s*(,|$)/);
+         if (!rest) {
+            throw new Errors.ProtocolError('unexpected text after quoted value for ' + name);
+         }
+         value = quoted.value;
+         pos = quoted.end + rest[0].length;
+      } else {
+         NEXT_PARAM.lastIndex = start;
+         var next = NEXT_PARAM.exec(str);
+         var end = next ? next.index : str.length;
+         value = str.substring(start, end).trim();
+         pos = next ? end + 1 : end;
+      }
+
+      ret[name] = value;
+   }
+   return ret;
+};
+
+/**
+ * Format parameters as a string that parse() reads back. Values are
+ * quoted when they have to be; undefined values are left out.
+ *
+ * @param {Object} params - Values by name, in the order to send them
+ * @returns {String}
+ */
+var serialize = function(params) {
+   var parts = [];
+
+   Object.keys(params).forEach(function(name) {
+      if (params[name] === undefined) {
+         return;
+      }
+      if (!NAME.test(name)) {
+         throw new TypeError('bad parameter name \'' + name + '\'');
+      }
+
+      var value = String(params[name]);
+      if (value === '' || /[\s,"\\]/.test(value)) {
+         value = '"' + value.replace(/["\\]/g, '\\$&') + '"';
+      }
+      parts.push(name + '=' + value);
+   });
+   return parts.join(',');
+};
+
+/**
+ * Decode a base64 parameter. Both the regular and URL-safe alphabets are
+ * accepted, with or without padding.
+ *
+ * @param {String} value
+ * @param {String} name - The parameter's name, for errors
+ * @returns {Array} the bytes
+ * @throws {ProtocolError} if value isn't base64
+ */
+var decodeBase64 = function(value, name) {
+   var str = value.replace(/-/g, '+').replace(/_/g, '/');
+   var unpadded = str.replace(/=+$/, '');
+
+   if (!/^[A-Za-z0-9+/]*={0,2}$/.test(str) || unpadded.length % 4 === 1 ||
+       (str.length !== unpadded.length && str.length % 4 !== 0)) {
+      throw new Errors.ProtocolError('parameter ' + name + ' is not valid base64');
+   }
+   return Base64.decode(unpadded);
+};
+
+/**
+ * Decode the SRP parameters from a login challenge. "N" names the group:
+ * an index into the NIAuth primes or an RFC 5054 group such as
+ * "rfc5054-2048". "H" names the hash, and is SHA-1 if not given.
+ *
+ * @param {String} str - The X-NI-AUTH-PARAMS header
+ * @returns {Object} srpGroup, modulus, generator, hash, salt (bytes),
+ *    serverPublicKey (BigInteger) and loginToken
+ * @throws {ProtocolError} if anything is missing or wrong
+ */
+var parseChallenge = function(str) {
+   if (!str) {
+      throw new Errors.ProtocolError('missing X-NI-AUTH-PARAMS header');
+   }
+
+   var params = parse(str);
+   var missing = ['N', 's', 'B', 'ss'].filter(function(name) {
+      return !has(params, name) || params[name] === '';
+   });
+   if (missing.length) {
+      throw new Errors.ProtocolError('X-NI-AUTH-PARAMS is missing ' + missing.join(', '));
+   }
+
+   var group = Primes.getGroup(params.N);
+   if (group === undefined) {
+      throw new Errors.ProtocolError('unknown group: ' + params.N);
+   }
+
+   var hash = has(params, 'H') ? params.H : 'SHA-1';
+   if (Crypto.hashes.indexOf(hash) === -1) {
+      throw new Errors.ProtocolError('unsupported hash: ' + hash);
+   }
+
+   var B = decodeBase64(params.B, 'B');
+   if (B.length > group.length) {
+      throw new Errors.ProtocolError('parameter B is longer than the group\'s modulus');
+   }
+
+   return {
+      srpGroup: group.id,
+      modulus: group.n,
+      generator: group.g,
+      hash: hash,
+      salt: decodeBase64(params.s, 's'),
+      serverPublicKey: new BigInteger(Utils.byteArrayToHashString(B), 16),
+      // We don't need to operate on the login token, so leave as string.
+      loginToken: params.ss
+   };
+};
+
+/**
+ * Get the server's proof of K from a successful login response's
+ * X-NI-AUTH-PARAMS header: "M=[base64]".
+ *
+ * @param {String} [str] - The header
+ * @returns {hex string} the server proof, or undefined if there isn't one
+ * @throws {ProtocolError} if the header is malformed
+ */
+var parseProof = function(str) {
+   if (!str) {
+      return undefined;
+   }
+
+   var params = parse(str);
+   if (!has(params, 'M')) {
+      return undefined;
+   }
+   return Utils.byteArrayToHashString(decodeBase64(params.M, 'M'));
+};
+
+module.exports = {
+   parse: parse,
+   serialize: serialize,
+   decodeBase64: decodeBase64,
+   parseChallenge: parseChallenge,
+   parseProof: parseProof,
+};
@@ -1,10 +1,24 @@
 /**
- * @file base64 encode/decode wrappers
+ * @file base64 encode/decode
  * @copyright National Instruments, 2016-2017
  * @license MIT
  */
 'use strict';
 
+/*
+ * This is plain JavaScript rather than Buffer (Node only) or btoa/atob
+ * (which work on "binary strings"), so that it runs the same everywhere.
+ */
+var ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/* Character code to value, for both the regular and URL-safe alphabets. */
+var VALUES = {};
+for (var i = 0; i < ALPHABET.length; ++i) {
+   VALUES[ALPHABET.charCodeAt(i)] = i;
+}
+VALUES['-'.charCodeAt(0)] = 62;
+VALUES['_'.charCodeAt(0)] = 63;
+
 /**
  * Encode to Base64.
  *
@@ -12,20 +26,51 @@
  * @returns {String} Base64-encoded string
  */
 var encode = function(arr) {
-   return (new Buffer(arr)).toString('base64');
+   var out = '';
+
+   for (var i = 0; i < arr.length; i += 3) {
+      var remaining = arr.length - i;
+      var b0 = arr[i] & 0xFF;
+      var b1 = (remaining > 1) ? (arr[i + 1] & 0xFF) : 0;
+      var b2 = (remaining > 2) ? (arr[i + 2] & 0xFF) : 0;
+
+      out += ALPHABET.charAt(b0 >> 2);
+      out += ALPHABET.charAt(((b0 & 0x03) << 4) | (b1 >> 4));
+      out += (remaining > 1) ? ALPHABET.charAt(((b1 & 0x0F) << 2) | (b2 >> 6)) : '=';
+      out += (remaining > 2) ? ALPHABET.charAt(b2 & 0x3F) : '=';
+   }
+   return out;
 };
 
 /**
- * Decode from Base64.
+ * Decode from Base64. The URL-safe alphabet ("-" and "_") is accepted too,
+ * and padding is optional. Like Node's decoder, this skips over anything
+ * that isn't Base64, and stops at the first "=".
  *
  * @param {String} str
- * @param {Array} bytes
+ * @returns {Array} bytes
  */
 var decode = function(str) {
-   var buf = new Buffer(str, 'base64');
    var arr = [];
-   for (var i = 0; i < buf.length; ++i) {
-      arr[i] = buf[i];
+   var bits = 0;
+   var bitCount = 0;
+
+   for (var i = 0; i < str.length; ++i) {
+      var c = str.charCodeAt(i);
+      if (c === 0x3D) { // '='
+         break;
+      }
+      if (!VALUES.hasOwnProperty(c)) {
+         continue;
+      }
+
+      bits = (bits << 6) | VALUES[c];
+      bitCount += 6;
+      if (bitCount >= 8) {
+         bitCount -= 8;
+         arr.push((bits >> bitCount) & 0xFF);
+      }
+      bits &= (1 << bitCount) - 1;
    }
    return arr;
 };
@@ -0,0 +1,395 @@
+/**
+ * @file niauth command-line tool
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var readline = require('readline');
+var NIAuth = require('../index.js');
+
+var USAGE = [
+   'Usage: niauth <command> [options]',
+   '',
+   'Commands:',
+   '  login [user]            Log in to the target (asks for the password)',
+   '  whoami                  Show who is logged in',
+   '  permissions [user]      List the permissions of a user (default: you)',
+   '  logout                  Log out of the target',
+   '',
+   'Options:',
+   '  --target <url>          The target, e.g. http://10.0.0.2:8080',
+   '                          (or NIAUTH_TARGET)',
+   '  --json                  Print permissions as JSON',
+   '  --session-file <path>   Where to keep sessions between commands',
+   '                          (or NIAUTH_SESSION_FILE; default',
+   '                          ~/.niauth-sessions.json)',
+   '  -h, --help              Show this help',
+   '',
+   'The user name can also come from NIAUTH_USER, and the password from',
+   'NIAUTH_PASSWORD.'
+].join('\n');
+
+/* Options that take a value, and what they're called once parsed. */
+var VALUE_OPTIONS = {
+   '--target': 'target',
+   '--session-file': 'sessionFile'
+};
+var FLAG_OPTIONS = {
+   '--json': 'json',
+   '--help': 'help',
+   '-h': 'help'
+};
+
+/*
+ * A mistake in how the tool was called, as opposed to something going
+ * wrong while it ran.
+ */
+var usageError = function(message) {
+   var err = new Error(message);
+   err.usage = true;
+   return err;
+};
+
+/*
+ * Split the command line into the command, its arguments and the options.
+ */
+var parseArgs = function(argv) {
+   var options = {};
+   var positional = [];
+
+   for (var i = 0; i < argv.length; ++i) {
+      var arg = argv[i];
+      var equals = arg.indexOf('=');
+      var name = (arg.indexOf('--') === 0 && equals !== -1) ? arg.substr(0, equals) : arg;
+
+      if (VALUE_OPTIONS.hasOwnProperty(name)) {
+         var value;
+         if (name !== arg) {
+            value = arg.substr(equals + 1);
+         } else if (i + 1 < argv.length) {
+            value = argv[++i];
+         } else {
+            throw usageError(name + ' needs a value');
+         }
+         options[VALUE_OPTIONS[name]] = value;
+      } else if (FLAG_OPTIONS.hasOwnProperty(arg)) {
+         options[FLAG_OPTIONS[arg]] = true;
+      } else if (arg.charAt(0) === '-' && arg !== '-') {
+         throw usageError('unknown option: ' + arg);
+      } else {
+         positional.push(arg);
+      }
+   }
+
+   return {command: positional[0], args: positional.slice(1), options: options};
+};
+
+/*
+ * "10.0.0.2:8080" is short for "http://10.0.0.2:8080".
+ */
+var normalizeTarget = function(target) {
+   if (!target) {
+      return undefined;
+   }
+   return /^https?:\/\//i.test(target) ? target : 'http://' + target;
+};
+
+/*
+ * Sessions are kept in a JSON file between commands: the cookies for each
+ * target. Only the user should be able to read it, since anyone with the
+ * session cookie is logged in.
+ */
+var loadSessions = function(file) {
+   try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+   } catch (e) {
+      return {};
+   }
+};
+
+var saveSessions = function(file, sessions) {
+   /*
+    * Writing to a file that's already there keeps its mode, so write a new
+    * one that only the user can read and move it into place.
+    */
+   var temp = file + '.' + process.pid + '.tmp';
+   try {
+      fs.unlinkSync(temp);
+   } catch (e) {
+      /* Good, there's nothing left over. */
+   }
+   try {
+      fs.writeFileSync(temp, JSON.stringify(sessions, null, 2) + '\n', {mode: 384 /* 0600 */, flag: 'wx'});
+      fs.renameSync(temp, file);
+   } catch (e) {
+      try {
+         fs.unlinkSync(temp);
+      } catch (ignored) {
+         /* It never got written. */
+      }
+      throw e;
+   }
+};
+
+/*
+ * Ask a question on the terminal. Hidden answers (passwords) aren't
+ * echoed. When the input isn't a terminal, the answer is the next line.
+ */
+var terminalPrompt = function(question, hidden) {
+   var input = process.stdin;
+   var output = process.stderr;
+
+   if (!hidden || !input.isTTY) {
+      return new Promise(function(resolve) {
+         var rl = readline.createInterface({input: input, output: output, terminal: !!input.isTTY});
+         var answered = false;
+         rl.question(question, function(answer) {
+            answered = true;
+            rl.close();
+            resolve(answer);
+         });
+         rl.on('close', function() {
+            if (!answered) {
+               resolve('');
+            }
+         });
+      });
+   }
+
+   return new Promise(function(resolve, reject) {
+      var chars = [];
+      var finish = function(callback, value) {
+         input.removeListener('data', onData);
+         input.setRawMode(false);
+         input.pause();
+         output.write('\n');
+         callback(value);
+      };
+      var onData = function(data) {
+         for (var i = 0; i < data.length; ++i) {
+            var ch = data.charAt(i);
+            if (ch === '\r' || ch === '\n' || ch === '\u0004') {
+               finish(resolve, chars.join(''));
+               return;
+            } else if (ch === '\u0003') {
+               finish(reject, new Error('cancelled'));
+               return;
+            } else if (ch === '\u007f' || ch === '\b') {
+               chars.pop();
+            } else {
+               chars.push(ch);
+            }
+         }
+      };
+
+      output.write(question);
+      input.setEncoding('utf8');
+      input.setRawMode(true);
+      input.on('data', onData);
+      input.resume();
+   });
+};
+
+/*
+ * Lay out rows of strings in columns.
+ */
+var formatTable = function(headers, rows) {
+   var all = [headers].concat(rows);
+   var widths = headers.map(function(header, column) {
+      return Math.max.apply(Math, all.map(function(row) {
+         return row[column].length;
+      }));
+   });
+
+   return all.map(function(row) {
+      return row.map(function(cell, column) {
+         return cell + new Array(widths[column] - cell.length + 1).join(' ');
+      }).join('  ').replace(/\s+$/, '');
+   }).join('\n');
+};
+
+var formatPermissions = function(permissions, json) {
+   var list = permissions.toArray().sort(function(a, b) {
+      return (a.name < b.name) ? -1 : (a.name > b.name) ? 1 : 0;
+   }).map(function(p) {
+      return {name: p.name, id: p.id, builtin: p.builtin};
+   });
+
+   if (json) {
+      return JSON.stringify(list, null, 2);
+   }
+   if (!list.length) {
+      return '(no permissions)';
+   }
+   return formatTable(['Permission', 'ID', 'Built in'], list.map(function(p) {
+      return [p.name, String(p.id), p.builtin ? 'yes' : 'no'];
+   }));
+};
+
+/*
+ * Check that we're logged in, and find out as whom.
+ */
+var requireLogin = function(ctx) {
+   return ctx.client.updateFromSession().then(function(loggedIn) {
+      if (!loggedIn) {
+         throw new Error('not logged in to ' + ctx.target + '; run "niauth login" first');
+      }
+      return ctx.client.getUserName();
+   });
+};
+
+/*
+ * The commands. Each gets the context (client, target, args, options,
+ * env, prompt and print) and resolves to the exit code.
+ */
+var COMMANDS = {
+   login: function(ctx) {
+      var username = ctx.args[0] || ctx.env.NIAUTH_USER;
+      var password = ctx.env.NIAUTH_PASSWORD;
+
+      return Promise.resolve(username || ctx.prompt('User name: ', false)).then(function(answer) {
+         username = answer;
+         if (!username) {
+            throw usageError('no user name given');
+         }
+         return (password !== undefined) ? password : ctx.prompt('Password for ' + username + ': ', true);
+      }).then(function(answer) {
+         return ctx.client.login(username, answer, {switchUser: true});
+      }).then(function() {
+         ctx.print('Logged in to ' + ctx.target + ' as ' + username);
+         return 0;
+      });
+   },
+
+   whoami: function(ctx) {
+      return requireLogin(ctx).then(function(username) {
+         ctx.print(username);
+         return 0;
+      });
+   },
+
+   permissions: function(ctx) {
+      var username = ctx.args[0];
+
+      return Promise.resolve(username || requireLogin(ctx)).then(function(name) {
+         return ctx.client.getAggregateUserPermissions(name);
+      }).then(function(permissions) {
+         ctx.print(formatPermissions(permissions, ctx.options.json));
+         return 0;
+      });
+   },
+
+   logout: function(ctx) {
+      return ctx.client.logout().then(function() {
+         ctx.print('Logged out of ' + ctx.target);
+         return 0;
+      });
+   }
+};
+
+/**
+ * Run the tool.
+ *
+ * @param {String[]} argv - The arguments, without "node" and the script
+ * @param {Object} [io] - What to use instead of the process's own
+ * @param {Object} [io.stdout] - Anything with write()
+ * @param {Object} [io.stderr] - Anything with write()
+ * @param {Object} [io.env] - Environment variables
+ * @param {Function} [io.prompt] - (question, hidden) returns (a promise
+ *    of) the answer
+ * @param {Function} [io.fetch] - fetch() implementation
+ * @returns {Promise} resolves to the exit code: 0 for success, 1 for
+ *    failure, or 2 if the tool was called wrong
+ */
+var main = function(argv, io) {
+   var opts = io || {};
+   var stdout = opts.stdout || process.stdout;
+   var stderr = opts.stderr || process.stderr;
+   var env = opts.env || process.env;
+
+   return Promise.resolve().then(function() {
+      var parsed = parseArgs(argv);
+
+      if (parsed.options.help || !parsed.command) {
+         (parsed.options.help ? stdout : stderr).write(USAGE + '\n');
+         return parsed.options.help ? 0 : 2;
+      }
+      if (!COMMANDS.hasOwnProperty(parsed.command)) {
+         throw usageError('unknown command: ' + parsed.command);
+      }
+
+      var target = normalizeTarget(parsed.options.target || env.NIAUTH_TARGET);
+      if (!target) {
+         throw usageError('no target; use --target or set NIAUTH_TARGET');
+      }
+
+      /* Node.js has had fetch() built in since 18; older ones only get this far. */
+      var fetchImpl = opts.fetch || (typeof fetch !== 'undefined' ? fetch : undefined);
+      if (!fetchImpl) {
+         throw new Error('no fetch() in Node.js ' + process.version + '; niauth needs Node.js 18 or later');
+      }
+
+      var sessionFile = parsed.options.sessionFile || env.NIAUTH_SESSION_FILE ||
+         path.join(os.homedir(), '.niauth-sessions.json');
+      var sessions = loadSessions(sessionFile);
+      var cookieJar = new NIAuth.CookieJar();
+      if (sessions[target]) {
+         Object.keys(sessions[target]).forEach(function(name) {
+            cookieJar.setCookie(name + '=' + sessions[target][name]);
+         });
+      }
+
+      var ctx = {
+         client: new NIAuth.NIAuthClient({
+            baseUrl: target,
+            fetch: fetchImpl,
+            cookieJar: cookieJar,
+            storage: null
+         }),
+         target: target,
+         args: parsed.args,
+         options: parsed.options,
+         env: env,
+         prompt: opts.prompt || terminalPrompt,
+         print: function(text) {
+            stdout.write(text + '\n');
+         }
+      };
+
+      /* Keep whatever the target did to the session, even if the command failed. */
+      var save = function() {
+         var cookies = cookieJar.toJSON();
+         if (Object.keys(cookies).length) {
+            sessions[target] = cookies;
+         } else {
+            delete sessions[target];
+         }
+         saveSessions(sessionFile, sessions);
+      };
+
+      return COMMANDS[parsed.command](ctx).then(function(code) {
+         save();
+         return code;
+      }, function(err) {
+         save();
+         throw err;
+      });
+   }).catch(function(err) {
+      stderr.write('niauth: ' + err.message + '\n');
+      if (err.usage) {
+         stderr.write('Run "niauth --help" for usage.\n');
+         return 2;
+      }
+      return 1;
+   });
+};
+
+module.exports = {
+   main: main,
+   parseArgs: parseArgs,
+   formatTable: formatTable
+};
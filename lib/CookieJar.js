@@ -0,0 +1,132 @@
+/**
+ * @file in-memory cookie storage
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/*
+ * Split up a Set-Cookie header that may have several cookies folded into
+ * one line. Commas also show up inside of Expires dates, so only split
+ * on commas that are followed by something that looks like "name=".
+ */
+var splitSetCookieHeader = function(str) {
+   return str.split(/,(?=\s*[^;,=\s]+=)/);
+};
+
+/**
+ * Create a new cookie jar.
+ *
+ * Browsers take care of the session cookie for us; everywhere else (like
+ * Node.js), a cookie jar can be handed to NIAuthClient to remember the
+ * cookies the target sets and send them back with later requests.
+ */
+var CookieJar = function() {
+   this.cookies = {};
+};
+
+/**
+ * Store a cookie from a Set-Cookie header value.
+ *
+ * Cookies that are already expired (as the target does on logout) are
+ * removed from the jar.
+ *
+ * @param {String} str - e.g. "_appwebSessionId_=abcd; Path=/; HttpOnly"
+ */
+CookieJar.prototype.setCookie = function(str) {
+   var parts = str.split(';');
+   var equals = parts[0].indexOf('=');
+   if (equals === -1) {
+      return;
+   }
+
+   var name = parts[0].substr(0, equals).trim();
+   var value = parts[0].substr(equals+1).trim();
+   var expired = (value === '');
+
+   for (var i = 1; i < parts.length; ++i) {
+      var attr = parts[i].trim().toLowerCase();
+      if (attr.indexOf('max-age=') === 0) {
+         expired = expired || (parseInt(attr.substr(8), 10) <= 0);
+      } else if (attr.indexOf('expires=') === 0) {
+         expired = expired || (Date.parse(parts[i].trim().substr(8)) <= Date.now());
+      }
+   }
+
+   if (expired) {
+      delete this.cookies[name];
+   } else {
+      this.cookies[name] = value;
+   }
+};
+
+/**
+ * Store all of the cookies set by a fetch() response.
+ *
+ * @param {Response} response
+ */
+CookieJar.prototype.setCookiesFromResponse = function(response) {
+   var headers = response.headers;
+   var values;
+
+   if (typeof headers.getSetCookie === 'function') {
+      values = headers.getSetCookie();
+   } else {
+      var str = headers.get('Set-Cookie');
+      values = str ? splitSetCookieHeader(str) : [];
+   }
+
+   for (var i = 0; i < values.length; ++i) {
+      this.setCookie(values[i]);
+   }
+};
+
+/**
+ * Get the value of a cookie.
+ *
+ * @param {String} name
+ * @returns {String} the value, or undefined if there is no such cookie
+ */
+CookieJar.prototype.get = function(name) {
+   return (this.cookies.hasOwnProperty(name) ? this.cookies[name] : undefined);
+};
+
+/**
+ * Build a Cookie request header out of everything in the jar.
+ *
+ * @returns {String}
+ */
+CookieJar.prototype.getCookieHeader = function() {
+   var pairs = [];
+   for (var name in this.cookies) {
+      if (this.cookies.hasOwnProperty(name)) {
+         pairs.push(name + '=' + this.cookies[name]);
+      }
+   }
+   return pairs.join('; ');
+};
+
+/**
+ * Copy the cookies out of the jar, e.g. to save them somewhere;
+ * setCookie() puts them back.
+ *
+ * @returns {Object} the values of the cookies, by name
+ */
+CookieJar.prototype.toJSON = function() {
+   var copy = {};
+   for (var name in this.cookies) {
+      if (this.cookies.hasOwnProperty(name)) {
+         copy[name] = this.cookies[name];
+      }
+   }
+   return copy;
+};
+
+/**
+ * Forget all cookies.
+ */
+CookieJar.prototype.clear = function() {
+   this.cookies = {};
+};
+
+module.exports = CookieJar;
@@ -0,0 +1,250 @@
+/**
+ * @file Pluggable crypto backends for the SRP math
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/* global BigInt */
+
+var JSBN = require('jsbn');
+var BigInteger = JSBN.BigInteger;
+var SecureRandom = JSBN.SecureRandom;
+var SHA1 = require('./SHA1.js');
+var SHA256 = require('./SHA256.js');
+
+// Left out of browser bundles (see the "browser" field in package.json), in
+// which case this is an empty object.
+var nodeCrypto;
+try {
+   nodeCrypto = require('crypto');
+} catch (e) {
+   nodeCrypto = undefined;
+}
+
+var webCrypto = (typeof crypto !== 'undefined') ? crypto : undefined;
+
+var hasNativeBigInt = (typeof BigInt === 'function');
+var hasNodeHash = !!(nodeCrypto && typeof nodeCrypto.createHash === 'function');
+var hasWebRandom = !!(webCrypto && typeof webCrypto.getRandomValues === 'function');
+var hasWebDigest = !!(webCrypto && webCrypto.subtle && typeof webCrypto.subtle.digest === 'function' &&
+   typeof TextEncoder !== 'undefined');
+var hasNodeRandom = !!(nodeCrypto && typeof nodeCrypto.randomBytes === 'function');
+
+var jsbnRandom = new SecureRandom();
+
+/*
+ * Fill an array with random bytes from the platform's CSPRNG.
+ */
+var platformRandomBytes = function(bytes) {
+   var random;
+   if (hasWebRandom) {
+      random = webCrypto.getRandomValues(new Uint8Array(bytes.length));
+   } else {
+      random = nodeCrypto.randomBytes(bytes.length);
+   }
+   for (var i = 0; i < bytes.length; ++i) {
+      bytes[i] = random[i];
+   }
+};
+
+var jsHashes = {
+   'SHA-1': SHA1,
+   'SHA-256': SHA256
+};
+
+var nodeHashNames = {
+   'SHA-1': 'sha1',
+   'SHA-256': 'sha256'
+};
+
+/**
+ * The hash algorithms the backends support, by their WebCrypto names.
+ */
+var hashes = Object.keys(jsHashes);
+
+var checkHash = function(algorithm) {
+   if (!jsHashes.hasOwnProperty(algorithm)) {
+      throw new TypeError('Unsupported hash: ' + algorithm);
+   }
+};
+
+var toHex = function(bytes) {
+   var hex = '';
+   for (var i = 0; i < bytes.length; ++i) {
+      hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+   }
+   return hex;
+};
+
+/*
+ * The promise-returning form of a synchronous digest function.
+ */
+var promiseDigest = function(digest) {
+   return function(algorithm, message) {
+      return new Promise(function(resolve) {
+         resolve(digest(algorithm, message));
+      });
+   };
+};
+
+/*
+ * Hash with WebCrypto. Same arguments and result as the other digests,
+ * but as a promise.
+ */
+var webDigest = function(algorithm, message) {
+   return new Promise(function(resolve) {
+      checkHash(algorithm);
+      var bytes = (typeof message === 'string') ? new TextEncoder().encode(message) : new Uint8Array(message);
+      resolve(webCrypto.subtle.digest(algorithm, bytes));
+   }).then(function(buffer) {
+      return toHex(new Uint8Array(buffer));
+   });
+};
+
+var nodeDigest = function(algorithm, message) {
+   checkHash(algorithm);
+   var hash = nodeCrypto.createHash(nodeHashNames[algorithm]);
+   if (typeof message === 'string') {
+      hash.update(message, 'utf8');
+   } else {
+      hash.update(new Uint8Array(message));
+   }
+   return hash.digest('hex');
+};
+
+/*
+ * Portable backend: the vendored js-sha1 and jsbn.
+ */
+var js = {
+   name: 'js',
+
+   /*
+    * @param {String} algorithm - 'SHA-1' or 'SHA-256'
+    * @param {String|Array} message - A string (hashed as UTF-8) or byte array
+    * @returns {String} The digest as a lowercase hex string
+    */
+   digest: function(algorithm, message) {
+      checkHash(algorithm);
+      return jsHashes[algorithm](message);
+   },
+
+   /*
+    * As digest(), but resolves to the digest.
+    */
+   digestAsync: function(algorithm, message) {
+      return promiseDigest(js.digest)(algorithm, message);
+   },
+
+   /*
+    * @returns {BigInteger} base^exponent % modulus
+    */
+   modPow: function(base, exponent, modulus) {
+      return base.modPow(exponent, modulus);
+   },
+
+   /*
+    * Fill an array with random bytes. jsbn's SecureRandom falls back to
+    * Math.random() without window.crypto, so it is only used when the
+    * platform has nothing better.
+    */
+   randomBytes: (hasWebRandom || hasNodeRandom) ? platformRandomBytes : function(bytes) {
+      jsbnRandom.nextBytes(bytes);
+   }
+};
+
+var toBigInt = function(x) {
+   return BigInt('0x' + x.toString(16));
+};
+
+var fromBigInt = function(x) {
+   return new BigInteger(x.toString(16), 16);
+};
+
+/*
+ * Backend using what the platform provides: BigInt for modular
+ * exponentiation, WebCrypto or Node for random numbers, and Node's hash
+ * where it exists.
+ *
+ * WebCrypto's crypto.subtle.digest() only returns promises, so it is
+ * behind digestAsync(), which the SRP operations that can wait use (such
+ * as computing a verifier). The rest are synchronous, so digest() stays in
+ * JavaScript in browsers; the hashes are over a few hundred bytes at most,
+ * and the time goes into modPow.
+ */
+var native = {
+   name: 'native',
+
+   digest: hasNodeHash ? nodeDigest : js.digest,
+
+   digestAsync: hasWebDigest ? webDigest : promiseDigest(hasNodeHash ? nodeDigest : js.digest),
+
+   modPow: function(base, exponent, modulus) {
+      var zero = BigInt(0);
+      var one = BigInt(1);
+      var two = BigInt(2);
+      var m = toBigInt(modulus);
+      var b = toBigInt(base) % m;
+      var e = toBigInt(exponent);
+      var result = one % m;
+
+      while (e > zero) {
+         if (e % two === one) {
+            result = (result * b) % m;
+         }
+         e = e / two;
+         b = (b * b) % m;
+      }
+
+      return fromBigInt(result);
+   },
+
+   randomBytes: platformRandomBytes
+};
+
+var backends = {
+   js: js
+};
+
+if (hasNativeBigInt && (hasWebRandom || hasNodeRandom)) {
+   backends.native = native;
+}
+
+var current = backends.native || backends.js;
+
+/**
+ * Returns the names of the backends usable on this platform.
+ * @returns {String[]}
+ */
+var getAvailableBackends = function() {
+   return Object.keys(backends);
+};
+
+/**
+ * Returns the backend in use.
+ * @returns {Object} An object with name, digest, digestAsync, modPow and
+ *    randomBytes
+ */
+var getBackend = function() {
+   return current;
+};
+
+/**
+ * Select the backend used for all SRP math. 'native' is the default where
+ * the platform supports it.
+ *
+ * @param {String} name - 'native' or 'js'
+ */
+var setBackend = function(name) {
+   if (!backends.hasOwnProperty(name)) {
+      throw new TypeError('Crypto backend not available: ' + name);
+   }
+   current = backends[name];
+};
+
+module.exports = {
+   hashes: hashes,
+   getAvailableBackends: getAvailableBackends,
+   getBackend: getBackend,
+   setBackend: setBackend
+};
@@ -0,0 +1,110 @@
+/**
+ * @file error types
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/*
+ * Define a new error type.
+ *
+ * @param {String} name - Name of the error type
+ * @param {String} code - Machine-readable error code
+ * @param {Function} Parent - Type to inherit from
+ * @param {Function} [init] - Called with the new error and the constructor's
+ *    arguments (after the message) to set up any extra fields.
+ * @returns {Function} the error type's constructor
+ */
+var defineError = function(name, code, Parent, init) {
+   /*
+    * Start from a real Error, so that Object.prototype.toString(),
+    * util.inspect() and the like treat ours as errors too.
+    */
+   var ErrorType = function(message) {
+      var err = new Error(message);
+      Object.setPrototypeOf(err, ErrorType.prototype);
+      err.code = code;
+
+      if (Error.captureStackTrace) {
+         Error.captureStackTrace(err, ErrorType);
+      }
+
+      if (init) {
+         init.apply(null, [err].concat(Array.prototype.slice.call(arguments, 1)));
+      }
+      return err;
+   };
+
+   Object.defineProperty(ErrorType, 'name', {value: name});
+   ErrorType.prototype = Object.create(Parent.prototype);
+   ErrorType.prototype.constructor = ErrorType;
+   ErrorType.prototype.name = name;
+
+   return ErrorType;
+};
+
+/**
+ * Base type for all errors thrown by niauth.
+ */
+var NIAuthError = defineError('NIAuthError', 'NIAUTH_ERROR', Error);
+
+/**
+ * The server rejected the user name or password.
+ */
+var AuthenticationFailedError = defineError('AuthenticationFailedError',
+   'AUTHENTICATION_FAILED', NIAuthError);
+
+/**
+ * The server could not prove that it knows the password verifier; it may
+ * not be the target that we think it is.
+ */
+var ServerAuthenticationFailedError = defineError('ServerAuthenticationFailedError',
+   'SERVER_AUTHENTICATION_FAILED', NIAuthError);
+
+/**
+ * There is already a session for a different user.
+ *
+ * @param {String} message
+ * @param {String} username - The user who is logged in
+ */
+var AlreadyLoggedInError = defineError('AlreadyLoggedInError',
+   'ALREADY_LOGGED_IN', NIAuthError, function(err, username) {
+      err.username = username;
+   });
+
+/**
+ * The server sent something that we don't understand.
+ */
+var ProtocolError = defineError('ProtocolError', 'PROTOCOL_ERROR', NIAuthError);
+
+/**
+ * The server responded with an HTTP status that we didn't expect.
+ *
+ * @param {String} message
+ * @param {Number} status - The HTTP status code
+ */
+var UnexpectedStatusError = defineError('UnexpectedStatusError',
+   'UNEXPECTED_STATUS', NIAuthError, function(err, status) {
+      err.status = status;
+   });
+
+/**
+ * The target didn't answer in time.
+ *
+ * @param {String} message
+ * @param {Number} timeout - How long we waited, in milliseconds
+ */
+var TimeoutError = defineError('TimeoutError',
+   'TIMEOUT', NIAuthError, function(err, timeout) {
+      err.timeout = timeout;
+   });
+
+module.exports = {
+   NIAuthError: NIAuthError,
+   AuthenticationFailedError: AuthenticationFailedError,
+   ServerAuthenticationFailedError: ServerAuthenticationFailedError,
+   AlreadyLoggedInError: AlreadyLoggedInError,
+   ProtocolError: ProtocolError,
+   UnexpectedStatusError: UnexpectedStatusError,
+   TimeoutError: TimeoutError,
+};
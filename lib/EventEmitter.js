@@ -0,0 +1,79 @@
+/**
+ * @file minimal event emitter
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/**
+ * Create a new event emitter. This is a small subset of Node's
+ * EventEmitter that also works in the browser.
+ */
+var EventEmitter = function() {
+   this._listeners = {};
+};
+
+/**
+ * Add a listener for an event.
+ *
+ * @param {String} event
+ * @param {Function} listener
+ * @returns {EventEmitter} this, for chaining
+ */
+EventEmitter.prototype.on = function(event, listener) {
+   if (!this._listeners.hasOwnProperty(event)) {
+      this._listeners[event] = [];
+   }
+   this._listeners[event].push(listener);
+   return this;
+};
+
+/**
+ * Remove a listener for an event.
+ *
+ * @param {String} event
+ * @param {Function} listener
+ * @returns {EventEmitter} this, for chaining
+ */
+EventEmitter.prototype.off = function(event, listener) {
+   var listeners = this._listeners[event];
+   if (listeners) {
+      var index = listeners.indexOf(listener);
+      if (index !== -1) {
+         listeners.splice(index, 1);
+      }
+   }
+   return this;
+};
+
+/**
+ * How many listeners are there for an event?
+ *
+ * @param {String} event
+ * @returns {Number}
+ */
+EventEmitter.prototype.listenerCount = function(event) {
+   return this._listeners.hasOwnProperty(event) ? this._listeners[event].length : 0;
+};
+
+/**
+ * Call all of the listeners for an event.
+ *
+ * @param {String} event
+ * @param {...*} args - Passed along to the listeners
+ * @returns {boolean} true if there were any listeners
+ */
+EventEmitter.prototype.emit = function(event /* , args... */) {
+   if (!this.listenerCount(event)) {
+      return false;
+   }
+
+   var args = Array.prototype.slice.call(arguments, 1);
+   var listeners = this._listeners[event].slice();
+   for (var i = 0; i < listeners.length; ++i) {
+      listeners[i].apply(this, args);
+   }
+   return true;
+};
+
+module.exports = EventEmitter;
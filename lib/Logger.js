@@ -0,0 +1,179 @@
+/**
+ * @file leveled logging, and traces of what the client did
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/* Most severe first. */
+var LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/*
+ * Details that must never end up in a log or trace: passwords, the SRP
+ * secrets derived from them (case matters: A is public, a isn't), and
+ * anything that would let someone take over the session.
+ */
+var SECRETS = ['a', 'x', 'K', 'S', 'v'];
+var SECRET_PATTERN = /password|^cookie$|^set-cookie$/i;
+var REDACTED = '[redacted]';
+
+/* A trace keeps this many of its most recent entries. */
+var MAX_TRACE_ENTRIES = 500;
+
+var isSecret = function(key) {
+   return SECRETS.indexOf(key) !== -1 || SECRET_PATTERN.test(key);
+};
+
+/**
+ * Copy details for a log or trace, with the secrets in them replaced.
+ *
+ * @param {*} details
+ * @returns {*} the copy
+ */
+var redact = function(details) {
+   if (Array.isArray(details)) {
+      return details.map(redact);
+   }
+   if (details === null || typeof details !== 'object') {
+      return details;
+   }
+
+   var copy = {};
+   Object.keys(details).forEach(function(key) {
+      copy[key] = isSecret(key) ? REDACTED : redact(details[key]);
+   });
+   return copy;
+};
+
+/**
+ * Copy a path or URL for a log or trace, with its query string replaced:
+ * that's where user names (and whatever else an application puts in its
+ * own requests) turn up.
+ *
+ * @param {String} url
+ * @returns {String} e.g. "/Login?[redacted]"
+ */
+var redactQuery = function(url) {
+   var query = url.indexOf('?');
+   return (query === -1) ? url : url.substr(0, query) + '?' + REDACTED;
+};
+
+var levelIndex = function(level) {
+   var index = LEVELS.indexOf(level || 'warn');
+   if (index === -1) {
+      throw new TypeError('Unknown log level: ' + level);
+   }
+   return index;
+};
+
+/**
+ * Create a new logger.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Where messages go: anything with the
+ *    error(), warn(), info() and debug() methods of console (or just log()).
+ *    Without one, nothing is logged.
+ * @param {String} [options.level] - The least severe messages to log:
+ *    'error', 'warn' (the default), 'info' or 'debug'
+ * @param {Boolean} [options.trace] - Start a trace straight away
+ */
+var Logger = function(options) {
+   var opts = options || {};
+
+   this.setLogger(opts.logger, opts.level);
+   this.tracing = false;
+   this.entries = [];
+   if (opts.trace) {
+      this.startTrace();
+   }
+};
+
+/**
+ * Change where messages go, and which ones.
+ *
+ * @param {Object} [logger] - As for the constructor; undefined for nowhere
+ * @param {String} [level] - As for the constructor
+ */
+Logger.prototype.setLogger = function(logger, level) {
+   this.level = levelIndex(level);
+   this.logger = logger;
+};
+
+/**
+ * Log a message, if it's severe enough.
+ *
+ * @param {String} level - 'error', 'warn', 'info' or 'debug'
+ * @param {String} message
+ * @param {Object} [details] - Logged along with the message, redacted
+ */
+Logger.prototype.log = function(level, message, details) {
+   var logger = this.logger;
+   if (!logger || levelIndex(level) > this.level) {
+      return;
+   }
+
+   var method = (typeof logger[level] === 'function') ? logger[level] : logger.log;
+   if (details === undefined) {
+      method.call(logger, 'niauth: ' + message);
+   } else {
+      method.call(logger, 'niauth: ' + message, redact(details));
+   }
+};
+
+LEVELS.forEach(function(level) {
+   Logger.prototype[level] = function(message, details) {
+      this.log(level, message, details);
+   };
+});
+
+/**
+ * Record a step in the trace, if there is one, and log it as debug.
+ *
+ * @param {String} step - What happened, e.g. "challenge"
+ * @param {Object} [details] - Recorded along with it, redacted
+ */
+Logger.prototype.trace = function(step, details) {
+   var safe = redact(details || {});
+
+   if (this.tracing) {
+      this.entries.push({time: new Date().toISOString(), step: step, details: safe});
+      if (this.entries.length > MAX_TRACE_ENTRIES) {
+         this.entries.shift();
+      }
+   }
+   this.debug(step, safe);
+};
+
+/**
+ * Start recording a new trace, forgetting any earlier one.
+ */
+Logger.prototype.startTrace = function() {
+   this.entries = [];
+   this.tracing = true;
+};
+
+/**
+ * Stop recording the trace.
+ *
+ * @returns {Object[]} what was recorded, as for getTrace()
+ */
+Logger.prototype.stopTrace = function() {
+   this.tracing = false;
+   return this.getTrace();
+};
+
+/**
+ * What has been recorded in the trace so far.
+ *
+ * @returns {Object[]} entries of {time, step, details}, oldest first; they
+ *    survive JSON.stringify(), for attaching to a bug report
+ */
+Logger.prototype.getTrace = function() {
+   return this.entries.slice();
+};
+
+Logger.LEVELS = LEVELS;
+Logger.redact = redact;
+Logger.redactQuery = redactQuery;
+
+module.exports = Logger;
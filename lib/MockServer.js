@@ -0,0 +1,700 @@
+/**
+ * @file in-process mock NIAuth server, for testing under Node.js
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var http = require('http');
+var URL = require('url').URL;
+var AuthParams = require('./AuthParams.js');
+var Base64 = require('./Base64.js');
+var Crypto = require('./Crypto.js');
+var Errors = require('./Errors.js');
+var Primes = require('./Primes.js');
+var SRP = require('./SRP.js');
+var Utils = require('./Utils.js');
+
+var SESSION_COOKIE = '_appwebSessionId_';
+
+var escapeXML = function(str) {
+   return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+};
+
+var permissionsToXML = function(permissions) {
+   var xml = '<Permissions>';
+   for (var i = 0; i < permissions.length; ++i) {
+      xml += '<Permission>' +
+         '<Name>' + escapeXML(permissions[i].name) + '</Name>' +
+         '<BuiltIn>' + (permissions[i].builtin ? 'true' : 'false') + '</BuiltIn>' +
+         '<ID>' + permissions[i].id + '</ID>' +
+         '</Permission>';
+   }
+   xml += '</Permissions>';
+   return xml;
+};
+
+var usersToXML = function(users) {
+   var xml = '<Users>';
+   for (var i = 0; i < users.length; ++i) {
+      xml += '<User>' +
+         '<Name>' + escapeXML(users[i].name) + '</Name>' +
+         '<ID>' + users[i].id + '</ID>' +
+         '<Groups>' + users[i].groups.map(function(group) {
+            return '<Group>' + escapeXML(group) + '</Group>';
+         }).join('') + '</Groups>' +
+         '</User>';
+   }
+   xml += '</Users>';
+   return xml;
+};
+
+var groupsToXML = function(groups) {
+   var xml = '<Groups>';
+   for (var i = 0; i < groups.length; ++i) {
+      xml += '<Group>' +
+         '<Name>' + escapeXML(groups[i].name) + '</Name>' +
+         '<BuiltIn>' + (groups[i].builtin ? 'true' : 'false') + '</BuiltIn>' +
+         '<ID>' + groups[i].id + '</ID>' +
+         permissionsToXML(groups[i].permissions) +
+         '</Group>';
+   }
+   xml += '</Groups>';
+   return xml;
+};
+
+var values = function(obj) {
+   var ret = [];
+   for (var key in obj) {
+      if (obj.hasOwnProperty(key)) {
+         ret.push(obj[key]);
+      }
+   }
+   return ret;
+};
+
+var remove = function(array, item) {
+   var index = array.indexOf(item);
+   if (index !== -1) {
+      array.splice(index, 1);
+   }
+};
+
+/*
+ * Parse an application/x-www-form-urlencoded body.
+ */
+var parseForm = function(body) {
+   var ret = {};
+   var pairs = body.split('&');
+   for (var i = 0; i < pairs.length; ++i) {
+      var equals = pairs[i].indexOf('=');
+      if (equals !== -1) {
+         ret[decodeURIComponent(pairs[i].substr(0, equals))] =
+            decodeURIComponent(pairs[i].substr(equals+1).replace(/\+/g, ' '));
+      }
+   }
+   return ret;
+};
+
+var parseCookies = function(header) {
+   var ret = {};
+   var pairs = (header || '').split(';');
+   for (var i = 0; i < pairs.length; ++i) {
+      var equals = pairs[i].indexOf('=');
+      if (equals !== -1) {
+         ret[pairs[i].substr(0, equals).trim()] = pairs[i].substr(equals+1).trim();
+      }
+   }
+   return ret;
+};
+
+/**
+ * Create a new mock NIAuth server.
+ *
+ * This speaks enough of the NIAuth protocol (/Login, /Logout and the
+ * LVWSAuthSvc user administration service) to test NIAuthClient against
+ * without real hardware. Any logged-in user may administer users, and
+ * change their own password.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.groups] - Map of group name to an object with
+ *    permissions and builtin; see addGroup().
+ * @param {Object} [options.users] - Map of user name to an object with
+ *    password, permissions and groups; see addUser().
+ */
+var MockServer = function(options) {
+   var opts = options || {};
+   var name;
+
+   this.users = {};
+   this.groups = {};
+   this.permissions = {};
+   this.sessions = {};
+   this.pendingLogins = {};
+   this.services = {};
+   this.nextId = 1;
+   this.sockets = [];
+   this.httpServer = http.createServer(this._handleRequest.bind(this));
+   this.httpServer.on('connection', this._trackSocket.bind(this));
+
+   for (name in opts.groups) {
+      if (opts.groups.hasOwnProperty(name)) {
+         this.addGroup(name, opts.groups[name]);
+      }
+   }
+   for (name in opts.users) {
+      if (opts.users.hasOwnProperty(name)) {
+         this.addUser(name, opts.users[name].password, opts.users[name]);
+      }
+   }
+};
+
+/*
+ * Look up a permission by name, creating it if it doesn't exist yet.
+ *
+ * @param {String|Object} perm - A name, or an object with name, and
+ *    optionally id and builtin.
+ */
+MockServer.prototype._getPermission = function(perm) {
+   var info = (typeof perm === 'string') ? {name: perm} : perm;
+
+   if (!this.permissions.hasOwnProperty(info.name)) {
+      this.permissions[info.name] = {
+         name: info.name,
+         builtin: !!info.builtin,
+         id: (info.id !== undefined) ? info.id : this.nextId++
+      };
+   }
+   return this.permissions[info.name];
+};
+
+/**
+ * Add a group (or replace an existing one).
+ *
+ * @param {String} name
+ * @param {Object} [options]
+ * @param {Array} [options.permissions] - Permission names, or objects with
+ *    name, and optionally id and builtin.
+ * @param {Boolean} [options.builtin]
+ */
+MockServer.prototype.addGroup = function(name, options) {
+   var opts = options || {};
+   this.groups[name] = {
+      name: name,
+      builtin: !!opts.builtin,
+      id: this.nextId++,
+      permissions: (opts.permissions || []).map(this._getPermission, this)
+   };
+   return this.groups[name];
+};
+
+/*
+ * Store a password verifier for a user, given the group, the hash, and the
+ * salt and verifier as byte arrays.
+ */
+var makeEntry = function(group, hash, salt, verifier) {
+   return {
+      n: Utils.bigIntegerToBytes(group.n, group.length),
+      g: group.g.toByteArray(),
+      s: salt,
+      v: verifier,
+      hash: hash
+   };
+};
+
+/**
+ * Add a user (or replace an existing one).
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {Object} [options]
+ * @param {Array} [options.permissions] - Permissions granted directly to
+ *    the user: names, or objects with name, and optionally id and builtin.
+ * @param {Array} [options.groups] - Names of groups the user belongs to.
+ *    Groups that don't exist yet are created.
+ * @param {Number|String} [options.srpGroup] - Which group to use for this
+ *    user's verifier: an NIAuth prime index or an RFC 5054 group name.
+ *    Defaults to 0.
+ * @param {String} [options.hash] - 'SHA-1' (the default) or 'SHA-256'
+ */
+MockServer.prototype.addUser = function(username, password, options) {
+   var opts = options || {};
+   var group = Primes.getGroup(opts.srpGroup !== undefined ? opts.srpGroup : 0);
+   var hash = opts.hash || 'SHA-1';
+   if (group === undefined) {
+      throw new TypeError('Unknown SRP group: ' + opts.srpGroup);
+   }
+   var verifier = SRP.createVerifier(username, password, group.n, group.g, hash);
+   var groups = opts.groups || [];
+
+   for (var i = 0; i < groups.length; ++i) {
+      if (!this.groups.hasOwnProperty(groups[i])) {
+         this.addGroup(groups[i]);
+      }
+   }
+
+   this.users[username] = {
+      name: username,
+      id: this.nextId++,
+      entry: makeEntry(group, hash, verifier.salt,
+         Utils.bigIntegerToBytes(verifier.verifier, group.length)),
+      permissions: (opts.permissions || []).map(this._getPermission, this),
+      groups: groups.slice()
+   };
+   return this.users[username];
+};
+
+/**
+ * Get all of the permissions a user has, either directly or through the
+ * groups they belong to.
+ *
+ * @param {String} username
+ * @returns {Array} permission objects with name, id and builtin
+ */
+MockServer.prototype.getAggregateUserPermissions = function(username) {
+   var user = this.users[username];
+   var perms = user.permissions.slice();
+
+   for (var i = 0; i < user.groups.length; ++i) {
+      var groupPerms = this.groups[user.groups[i]].permissions;
+      for (var j = 0; j < groupPerms.length; ++j) {
+         if (perms.indexOf(groupPerms[j]) === -1) {
+            perms.push(groupPerms[j]);
+         }
+      }
+   }
+   return perms;
+};
+
+/**
+ * Add a web service that requires a session. Requests without one get an
+ * NIAuth challenge (a 403 with X-NI-AUTH-PARAMS).
+ *
+ * @param {String} method - e.g. "GET"
+ * @param {String} path - e.g. "/MyService/DoThing"
+ * @param {Function} handler - Called with (req, res, username, body)
+ */
+MockServer.prototype.addService = function(method, path, handler) {
+   this.services[method + ' ' + path] = handler;
+};
+
+/**
+ * Forget all sessions, as if they had timed out (or the target rebooted).
+ */
+MockServer.prototype.expireSessions = function() {
+   this.sessions = {};
+};
+
+/**
+ * Start listening on a local port.
+ *
+ * @param {Number} [port] - Defaults to any free port.
+ * @returns {Promise} resolves to the server's base URL
+ */
+MockServer.prototype.listen = function(port) {
+   var httpServer = this.httpServer;
+   return new Promise(function(resolve, reject) {
+      httpServer.once('error', reject);
+      httpServer.listen(port || 0, '127.0.0.1', function() {
+         httpServer.removeListener('error', reject);
+         resolve('http://127.0.0.1:' + httpServer.address().port);
+      });
+   });
+};
+
+/**
+ * Stop listening, and drop any connections that clients are keeping alive.
+ *
+ * @returns {Promise}
+ */
+MockServer.prototype.close = function() {
+   var httpServer = this.httpServer;
+   var closed = new Promise(function(resolve) {
+      httpServer.close(function() {
+         resolve();
+      });
+   });
+
+   for (var i = 0; i < this.sockets.length; ++i) {
+      this.sockets[i].destroy();
+   }
+   return closed;
+};
+
+MockServer.prototype._trackSocket = function(socket) {
+   var sockets = this.sockets;
+   sockets.push(socket);
+   socket.on('close', function() {
+      sockets.splice(sockets.indexOf(socket), 1);
+   });
+};
+
+/*
+ * Find the user that the request's session cookie belongs to.
+ */
+MockServer.prototype._getSessionUser = function(req) {
+   var cookies = parseCookies(req.headers.cookie);
+   var sessionId = cookies[SESSION_COOKIE];
+   if (sessionId && this.sessions.hasOwnProperty(sessionId)) {
+      return this.sessions[sessionId];
+   }
+   return undefined;
+};
+
+MockServer.prototype._handleRequest = function(req, res) {
+   var self = this;
+   var body = '';
+
+   req.setEncoding('utf8');
+   req.on('data', function(chunk) {
+      body += chunk;
+   });
+   req.on('end', function() {
+      var url = new URL(req.url, 'http://localhost');
+      var route = req.method + ' ' + url.pathname;
+
+      if (route === 'GET /Login') {
+         self._getLogin(req, res, url);
+      } else if (route === 'POST /Login') {
+         self._postLogin(req, res, parseForm(body));
+      } else if (route === 'GET /Logout') {
+         self._logout(req, res);
+      } else if (route === 'GET /LVWSAuthSvc/GetAggregateUserPermissions') {
+         self._getAggregateUserPermissions(req, res, url);
+      } else if (route === 'GET /LVWSAuthSvc/ChangePassword') {
+         self._startChangePassword(req, res, url);
+      } else if (route === 'POST /LVWSAuthSvc/ChangePassword') {
+         self._finishChangePassword(req, res, parseForm(body));
+      } else if (adminRoutes.hasOwnProperty(route)) {
+         self._admin(req, res, adminRoutes[route], parseForm(body));
+      } else if (self.services.hasOwnProperty(route)) {
+         self._service(req, res, self.services[route], body);
+      } else {
+         res.writeHead(404);
+         res.end();
+      }
+   });
+};
+
+/*
+ * GET /Login: if there is a session, say who it belongs to. Otherwise,
+ * start the SRP handshake for the requested user.
+ */
+MockServer.prototype._getLogin = function(req, res, url) {
+   var sessionUser = this._getSessionUser(req);
+
+   if (sessionUser !== undefined) {
+      res.writeHead(200, {'Content-Type': 'text/plain'});
+      res.end('Logged in as: ' + sessionUser);
+      return;
+   }
+
+   var username = url.searchParams.get('username');
+   if (username === null) {
+      res.writeHead(403);
+      res.end();
+      return;
+   }
+
+   this._sendChallenge(res, username);
+};
+
+/*
+ * Start an SRP handshake for a user, by responding with a 403 and the
+ * X-NI-AUTH-PARAMS header.
+ */
+MockServer.prototype._sendChallenge = function(res, username) {
+   var self = this;
+   var server = new SRP.Server(function(name) {
+      return self.users.hasOwnProperty(name) ? self.users[name].entry : undefined;
+   });
+   var loginInfo = server.startLogin(username);
+   this.pendingLogins[loginInfo.loginToken] = server;
+
+   res.writeHead(403, {'X-NI-AUTH-PARAMS': server.getAuthParamsHeader()});
+   res.end();
+};
+
+/*
+ * Check the client's answer to an SRP challenge.
+ *
+ * @returns {Object} the SRP.Server and the result of finishLogin(), or
+ *    undefined if the client failed (in which case we've already sent a 403)
+ */
+MockServer.prototype._checkAnswer = function(res, form) {
+   var server = this.pendingLogins[form.ss];
+   var result;
+
+   if (!server || !form.A || !form.M) {
+      res.writeHead(403);
+      res.end();
+      return undefined;
+   }
+   delete this.pendingLogins[form.ss];
+
+   try {
+      result = server.finishLogin({
+         clientPublicKey: new SRP.BigInteger(Utils.b64tohex(form.A), 16),
+         clientProof: Utils.b64tohex(form.M),
+         loginToken: form.ss
+      });
+   } catch (e) {
+      if (e instanceof Errors.NIAuthError) {
+         res.writeHead(403);
+         res.end();
+         return undefined;
+      }
+      throw e;
+   }
+
+   return {server: server, result: result};
+};
+
+var serverProofHeader = function(result) {
+   return AuthParams.serialize({M: Base64.encode(Utils.hashStringToByteArray(result.serverProof))});
+};
+
+/*
+ * POST /Login: finish the SRP handshake and create a session.
+ */
+MockServer.prototype._postLogin = function(req, res, form) {
+   var answer = this._checkAnswer(res, form);
+   if (!answer) {
+      return;
+   }
+
+   var username = answer.server.username;
+   this.sessions[answer.result.sessionId] = username;
+
+   res.writeHead(200, {
+      'Content-Type': 'text/xml',
+      'Set-Cookie': SESSION_COOKIE + '=' + answer.result.sessionId + '; Path=/; HttpOnly',
+      'X-NI-AUTH-PARAMS': serverProofHeader(answer.result)
+   });
+   res.end(permissionsToXML(this.getAggregateUserPermissions(username)));
+};
+
+/*
+ * GET /LVWSAuthSvc/ChangePassword: challenge the logged-in user to prove
+ * that they know their current password.
+ */
+MockServer.prototype._startChangePassword = function(req, res, url) {
+   var username = url.searchParams.get('username');
+
+   if (this._getSessionUser(req) !== username) {
+      res.writeHead(401);
+      res.end();
+      return;
+   }
+
+   this._sendChallenge(res, username);
+};
+
+/*
+ * POST /LVWSAuthSvc/ChangePassword: check the proof of the old password,
+ * and store the new verifier.
+ */
+MockServer.prototype._finishChangePassword = function(req, res, form) {
+   if (this._getSessionUser(req) !== form.username) {
+      res.writeHead(401);
+      res.end();
+      return;
+   }
+
+   var answer = this._checkAnswer(res, form);
+   if (!answer) {
+      return;
+   }
+
+   var entry = this._parsePasswordForm(form);
+   if (answer.server.username !== form.username || !entry) {
+      res.writeHead(400);
+      res.end();
+      return;
+   }
+
+   this.users[form.username].entry = entry;
+
+   res.writeHead(200, {'X-NI-AUTH-PARAMS': serverProofHeader(answer.result)});
+   res.end();
+};
+
+/*
+ * GET /Logout: end the session.
+ */
+MockServer.prototype._logout = function(req, res) {
+   var cookies = parseCookies(req.headers.cookie);
+   delete this.sessions[cookies[SESSION_COOKIE]];
+
+   res.writeHead(200, {
+      'Set-Cookie': SESSION_COOKIE + '=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT'
+   });
+   res.end();
+};
+
+/*
+ * GET /LVWSAuthSvc/GetAggregateUserPermissions: list a user's permissions.
+ * Only available to logged-in users.
+ */
+MockServer.prototype._getAggregateUserPermissions = function(req, res, url) {
+   var sessionUser = this._getSessionUser(req);
+   var username = url.searchParams.get('username') || sessionUser;
+
+   if (sessionUser === undefined) {
+      res.writeHead(403);
+      res.end();
+   } else if (!this.users.hasOwnProperty(username)) {
+      res.writeHead(404);
+      res.end();
+   } else {
+      res.writeHead(200, {'Content-Type': 'text/xml'});
+      res.end(permissionsToXML(this.getAggregateUserPermissions(username)));
+   }
+};
+
+/*
+ * Send an XML response.
+ */
+var sendXML = function(res, xml) {
+   res.writeHead(200, {'Content-Type': 'text/xml'});
+   res.end(xml);
+};
+
+/*
+ * Handlers for the user administration service. Each one gets the form
+ * fields from the request and returns the HTTP status to respond with,
+ * or sends the response itself and returns nothing.
+ */
+var adminRoutes = {
+   'GET /LVWSAuthSvc/GetUsers': function(res) {
+      sendXML(res, usersToXML(values(this.users)));
+   },
+
+   'GET /LVWSAuthSvc/GetGroups': function(res) {
+      sendXML(res, groupsToXML(values(this.groups)));
+   },
+
+   'POST /LVWSAuthSvc/AddUser': function(res, form) {
+      if (this.users.hasOwnProperty(form.username)) {
+         return 409;
+      }
+      var entry = this._parsePasswordForm(form);
+      if (!entry) {
+         return 400;
+      }
+      this.addUser(form.username, '').entry = entry;
+      return 200;
+   },
+
+   'POST /LVWSAuthSvc/RemoveUser': function(res, form) {
+      if (!this.users.hasOwnProperty(form.username)) {
+         return 404;
+      }
+      delete this.users[form.username];
+      for (var sessionId in this.sessions) {
+         if (this.sessions.hasOwnProperty(sessionId) && this.sessions[sessionId] === form.username) {
+            delete this.sessions[sessionId];
+         }
+      }
+      return 200;
+   },
+
+   'POST /LVWSAuthSvc/SetUserPassword': function(res, form) {
+      if (!this.users.hasOwnProperty(form.username)) {
+         return 404;
+      }
+      var entry = this._parsePasswordForm(form);
+      if (!entry) {
+         return 400;
+      }
+      this.users[form.username].entry = entry;
+      return 200;
+   },
+
+   'POST /LVWSAuthSvc/AddUserToGroup': function(res, form) {
+      if (!this.users.hasOwnProperty(form.username) || !this.groups.hasOwnProperty(form.group)) {
+         return 404;
+      }
+      var groups = this.users[form.username].groups;
+      if (groups.indexOf(form.group) === -1) {
+         groups.push(form.group);
+      }
+      return 200;
+   },
+
+   'POST /LVWSAuthSvc/RemoveUserFromGroup': function(res, form) {
+      if (!this.users.hasOwnProperty(form.username) || !this.groups.hasOwnProperty(form.group)) {
+         return 404;
+      }
+      remove(this.users[form.username].groups, form.group);
+      return 200;
+   },
+
+   'POST /LVWSAuthSvc/GrantPermission': function(res, form) {
+      if (!this.groups.hasOwnProperty(form.group) || !form.permission) {
+         return 404;
+      }
+      var perms = this.groups[form.group].permissions;
+      var perm = this._getPermission(form.permission);
+      if (perms.indexOf(perm) === -1) {
+         perms.push(perm);
+      }
+      return 200;
+   },
+
+   'POST /LVWSAuthSvc/RevokePermission': function(res, form) {
+      if (!this.groups.hasOwnProperty(form.group) || !this.permissions.hasOwnProperty(form.permission)) {
+         return 404;
+      }
+      remove(this.groups[form.group].permissions, this.permissions[form.permission]);
+      return 200;
+   },
+};
+
+/*
+ * Turn the N, s, v and H fields of a form into a user entry, or return
+ * undefined if they're no good.
+ */
+MockServer.prototype._parsePasswordForm = function(form) {
+   var group = Primes.getGroup(form.N);
+   var hash = form.H || 'SHA-1';
+   if (group === undefined || Crypto.hashes.indexOf(hash) === -1 || !form.s || !form.v) {
+      return undefined;
+   }
+   return makeEntry(group, hash, Base64.decode(form.s), Base64.decode(form.v));
+};
+
+/*
+ * Run a user administration request. Only logged-in users may do this.
+ */
+MockServer.prototype._admin = function(req, res, handler, form) {
+   if (this._getSessionUser(req) === undefined) {
+      res.writeHead(403);
+      res.end();
+      return;
+   }
+
+   var status = handler.call(this, res, form);
+   if (status !== undefined) {
+      res.writeHead(status);
+      res.end();
+   }
+};
+
+/*
+ * Run a request for a web service added with addService().
+ */
+MockServer.prototype._service = function(req, res, handler, body) {
+   var username = this._getSessionUser(req);
+   if (username === undefined) {
+      this._sendChallenge(res, '');
+      return;
+   }
+
+   handler(req, res, username, body);
+};
+
+module.exports = MockServer;
@@ -0,0 +1,1658 @@
+/**
+ * @file NIAuth client
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/* global AbortController */
+
+var AuthParams = require('./AuthParams.js');
+var Base64 = require('./Base64.js');
+var Errors = require('./Errors.js');
+var EventEmitter = require('./EventEmitter.js');
+var Logger = require('./Logger.js');
+var OperationQueue = require('./OperationQueue.js');
+var PermissionSet = require('./PermissionSet.js');
+var Primes = require('./Primes.js');
+var SRP = require('./SRP.js');
+var TabSync = require('./TabSync.js');
+var Utils = require('./Utils.js');
+var XML = require('./XML.js');
+
+var SESSION_COOKIE = '_appwebSessionId_';
+var STORAGE_PREFIX = 'niauth:';
+var DEFAULT_TIMEOUT = 30000;
+
+/*
+ * By default, nothing is retried. Only idempotent requests can be: the
+ * second half of a login, for one, uses a token that's only good once.
+ */
+var DEFAULT_RETRY = {
+   retries: 0,
+   delay: 500,
+   maxDelay: 5000,
+   methods: ['GET', 'HEAD']
+};
+
+var getText = function(el) {
+   return (el.textContent || el.innerText || '');
+};
+
+/*
+ * Parse a <BuiltIn> element, which holds "true" or "false".
+ */
+var getBoolean = function(el) {
+   var text = getText(el).trim().toLowerCase();
+   return (text === 'true' || text === '1');
+};
+
+var getUserNameFromLoggedInString = function(str) {
+   var match = str.match(/Logged in as: (.*)/);
+   if (!match) {
+      throw new Errors.ProtocolError('Unexpected login status \'' + str + '\'');
+   }
+   return match[1];
+};
+
+/*
+ * A permission on the target.
+ */
+var Permission = function(xmlNode) {
+   this.name = '';
+   this.builtin = false;
+   this.id = -1;
+
+   for (var cn = 0; cn < xmlNode.childNodes.length; ++cn) {
+      var cnode = xmlNode.childNodes[cn];
+      if (cnode.tagName === 'Name') {
+         this.name = getText(cnode);
+      } else if (cnode.tagName === 'BuiltIn') {
+         this.builtin = getBoolean(cnode);
+      } else if (cnode.tagName === 'ID') {
+         this.id = parseInt(getText(cnode));
+      }
+   }
+};
+
+var getChildrenByTagName = function(xmlNode, tagName) {
+   var children = [];
+   for (var cn = 0; cn < xmlNode.childNodes.length; ++cn) {
+      if (xmlNode.childNodes[cn].tagName === tagName) {
+         children.push(xmlNode.childNodes[cn]);
+      }
+   }
+   return children;
+};
+
+/*
+ * A user account on the target, and the groups it belongs to.
+ */
+var User = function(xmlNode) {
+   this.name = '';
+   this.id = -1;
+   this.groups = [];
+
+   for (var cn = 0; cn < xmlNode.childNodes.length; ++cn) {
+      var cnode = xmlNode.childNodes[cn];
+      if (cnode.tagName === 'Name') {
+         this.name = getText(cnode);
+      } else if (cnode.tagName === 'ID') {
+         this.id = parseInt(getText(cnode));
+      } else if (cnode.tagName === 'Groups') {
+         this.groups = getChildrenByTagName(cnode, 'Group').map(getText);
+      }
+   }
+};
+
+/*
+ * A group (role) on the target, and the permissions granted to it.
+ */
+var Group = function(xmlNode) {
+   this.name = '';
+   this.builtin = false;
+   this.id = -1;
+   this.permissions = new PermissionSet([]);
+
+   for (var cn = 0; cn < xmlNode.childNodes.length; ++cn) {
+      var cnode = xmlNode.childNodes[cn];
+      if (cnode.tagName === 'Name') {
+         this.name = getText(cnode);
+      } else if (cnode.tagName === 'BuiltIn') {
+         this.builtin = getBoolean(cnode);
+      } else if (cnode.tagName === 'ID') {
+         this.id = parseInt(getText(cnode));
+      } else if (cnode.tagName === 'Permissions') {
+         this.permissions = new PermissionSet(getChildrenByTagName(cnode, 'Permission').map(function(pnode) {
+            return new Permission(pnode);
+         }));
+      }
+   }
+};
+
+/*
+ * Parse a list of things, e.g. <Users><User>...</User></Users>, into an
+ * array of objects.
+ */
+var _parseList = function(xmlData, listTagName, itemTagName, ItemType) {
+   var root = xmlData.documentElement;
+   if (root.tagName !== listTagName) {
+      throw new Errors.ProtocolError('Unknown element type, got ' + root.tagName);
+   }
+
+   return getChildrenByTagName(root, itemTagName).map(function(node) {
+      return new ItemType(node);
+   });
+};
+
+var _parsePermissions = function(xmlData) {
+   return new PermissionSet(_parseList(xmlData, 'Permissions', 'Permission', Permission));
+};
+
+
+/*
+ * The page's sessionStorage, if it has one we're allowed to use. (Merely
+ * looking at it throws in some browsers when storage is turned off.)
+ */
+var getDefaultStorage = function() {
+   try {
+      return (typeof sessionStorage !== 'undefined') ? sessionStorage : undefined;
+   } catch (e) {
+      return undefined;
+   }
+};
+
+/**
+ * Create a new NIAuth client.
+ *
+ * Each client talks to a single target and keeps track of its own
+ * SRP state, logged-in user, and permissions.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.baseUrl] - URL of the target (e.g.
+ *    "http://10.0.0.2:8080"). Defaults to the origin of the current page.
+ * @param {String} [options.credentials] - fetch() credentials mode. Defaults
+ *    to "same-origin", or "include" if a baseUrl is given.
+ * @param {Function} [options.fetch] - fetch() implementation to use instead
+ *    of the global one.
+ * @param {CookieJar} [options.cookieJar] - Where to keep the session cookie
+ *    when the environment doesn't do it for us (e.g. Node.js).
+ * @param {Function} [options.getCredentials] - Called by authFetch() when it
+ *    needs to log in again; returns (a promise of) {username, password}, or
+ *    nothing to give up.
+ * @param {Boolean} [options.rememberCredentials] - Keep the user name and
+ *    password from login() in memory, so authFetch() can log in again
+ *    without asking.
+ * @param {Storage} [options.storage] - Where to remember the user name and
+ *    permissions, so that updateFromSession() can restore them right away
+ *    after the page reloads. Defaults to sessionStorage where there is one;
+ *    null to not remember them.
+ * @param {Number} [options.timeout] - How long to wait for the target to
+ *    answer each request, in milliseconds, before failing with a
+ *    TimeoutError. Defaults to 30 seconds; 0 to wait forever.
+ * @param {Object|Number} [options.retry] - What to do when a request fails
+ *    without an answer from the target (a network error or timeout). A
+ *    number is shorthand for {retries: n}.
+ * @param {Number} [options.retry.retries] - How many times to try again;
+ *    0 by default.
+ * @param {Number} [options.retry.delay] - Milliseconds to wait before the
+ *    first retry, doubling each time after that; 500 by default.
+ * @param {Number} [options.retry.maxDelay] - The longest to wait between
+ *    tries; 5000 by default.
+ * @param {String[]} [options.retry.methods] - Which HTTP methods may be
+ *    retried; GET and HEAD by default.
+ * @param {Object} [options.logger] - Where to log what the client does:
+ *    console, or anything with its error(), warn(), info() and debug()
+ *    methods. Nothing is logged by default.
+ * @param {String} [options.logLevel] - The least severe messages to log:
+ *    'error', 'warn' (the default), 'info' or 'debug'
+ * @param {Boolean} [options.trace] - Start a trace (see startTrace())
+ *    straight away
+ * @param {Boolean} [options.syncTabs] - Tell other tabs of this origin that
+ *    talk to the same target when someone logs in or out or the permissions
+ *    change, and follow along when they do. Defaults to true, unless a
+ *    cookieJar is given (the session isn't shared with other tabs then).
+ *
+ * Every method that talks to the target also takes per-call options:
+ * signal (an AbortSignal to cancel the call with), timeout and retry, as
+ * above. Answers from the target, such as a 403 for a wrong password, are
+ * never retried.
+ *
+ * login(), logout() and updateFromSession() take turns: each waits for the
+ * ones called before it to finish. Calling one again with the same
+ * arguments while it's still waiting or running hands back the same
+ * promise, unless it was given a signal of its own.
+ *
+ * Clients emit the following events:
+ *  - 'login' (username): a user logged in, or we found their session
+ *  - 'logout' (username): the user logged out
+ *  - 'sessionExpired' (username): the user's session went away on its own
+ *  - 'permissionsChanged' (newPermissions, oldPermissions): PermissionSets,
+ *    either of which is undefined when nobody is logged in
+ *  - 'error' (err): the session monitor (or a check after another tab
+ *    logged in or out) couldn't reach the target
+ */
+var NIAuthClient = function(options) {
+   var opts = options || {};
+
+   EventEmitter.call(this);
+
+   this.baseUrl = (opts.baseUrl || '').replace(/\/+$/, '');
+   this.credentials = opts.credentials || (this.baseUrl ? 'include' : 'same-origin');
+   this.fetchImpl = opts.fetch;
+   this.cookieJar = opts.cookieJar;
+   this.getCredentials = opts.getCredentials;
+   this.rememberCredentials = !!opts.rememberCredentials;
+   this.rememberedCredentials = undefined;
+   this.storage = (opts.storage !== undefined) ? opts.storage : getDefaultStorage();
+   this.timeout = (opts.timeout !== undefined) ? opts.timeout : DEFAULT_TIMEOUT;
+   this.retry = opts.retry;
+   this.log = new Logger({logger: opts.logger, level: opts.logLevel, trace: opts.trace});
+
+   this.srpClient = new SRP.Client();
+   this.operations = new OperationQueue();
+   /*
+    * While logins are queued, who the latest handshake logged in as, so
+    * that a login queued behind it with another password can't just take
+    * over the session it found.
+    */
+   this.queuedLogins = 0;
+   this.handshakeCredentials = undefined;
+   this.loggedInUser = '';
+   this.cachedPermissions = undefined;
+   /* Restored from storage, and not yet confirmed by the target. */
+   this.sessionUnverified = false;
+   this.sessionMonitor = undefined;
+
+   var syncTabs = (opts.syncTabs !== undefined) ? opts.syncTabs : !this.cookieJar;
+   this.tabSync = undefined;
+   this.receivingFromTab = false;
+   this.broadcastPending = false;
+   if (syncTabs && TabSync.isSupported()) {
+      this.tabSync = new TabSync(this._getStorageKey(), this._receiveFromTab.bind(this));
+   }
+};
+
+NIAuthClient.prototype = Object.create(EventEmitter.prototype);
+NIAuthClient.prototype.constructor = NIAuthClient;
+
+/*
+ * Do two permission sets have the same permissions in them?
+ */
+var samePermissions = function(a, b) {
+   if (a === undefined || b === undefined) {
+      return (a === b);
+   }
+   return a.equals(b);
+};
+
+/*
+ * Record who is logged in, and let listeners know if that changed.
+ *
+ * @param {String} username - The user, or '' for nobody
+ * @param {String} [reason] - The event to emit if a user went away;
+ *    'logout' (the default) or 'sessionExpired'
+ */
+NIAuthClient.prototype._setUser = function(username, reason) {
+   var previous = this.loggedInUser;
+   if (this.sessionUnverified) {
+      /* Nobody has heard of a restored user, so there's nobody to tell they left. */
+      this._forgetUnverifiedSession();
+      previous = '';
+      if (!username) {
+         this._saveSession();
+         return;
+      }
+   } else if (previous === username) {
+      return;
+   }
+
+   this.loggedInUser = username;
+   if (previous) {
+      this.log.info((reason === 'sessionExpired') ? previous + '\'s session expired' : previous + ' logged out');
+      this._setPermissions(undefined);
+      this.emit(reason || 'logout', previous);
+   }
+   if (username) {
+      this.log.info(username + ' logged in');
+      this.emit('login', username);
+   }
+   this._saveSession();
+   this._broadcastToTabs();
+};
+
+/*
+ * Record the user's permissions, and let listeners know if they changed.
+ */
+NIAuthClient.prototype._setPermissions = function(permissions) {
+   var previous = this.cachedPermissions;
+   this.cachedPermissions = permissions;
+   if (this.sessionUnverified) {
+      return;
+   }
+   if (!samePermissions(previous, permissions)) {
+      this.emit('permissionsChanged', permissions, previous);
+      this._broadcastToTabs();
+   }
+   this._saveSession();
+};
+
+/*
+ * Quietly drop a session restored from storage that the target hasn't
+ * confirmed; it was never announced, here or to the other tabs.
+ */
+NIAuthClient.prototype._forgetUnverifiedSession = function() {
+   if (this.sessionUnverified) {
+      this.sessionUnverified = false;
+      this.loggedInUser = '';
+      this.cachedPermissions = undefined;
+   }
+};
+
+/*
+ * The permissions in a form that survives JSON.
+ */
+var permissionsToJSON = function(permissions) {
+   return permissions.toArray().map(function(p) {
+      return {name: p.name, id: p.id, builtin: p.builtin};
+   });
+};
+
+/*
+ * Tell the other tabs who is logged in now, and with which permissions.
+ *
+ * A login changes the user and then the permissions; this waits for the
+ * current turn of the event loop to finish, so that they're sent together.
+ * Changes that came from another tab aren't sent back.
+ */
+NIAuthClient.prototype._broadcastToTabs = function() {
+   var self = this;
+
+   if (!this.tabSync || this.receivingFromTab || this.broadcastPending || this.sessionUnverified) {
+      return;
+   }
+
+   this.broadcastPending = true;
+   Promise.resolve().then(function() {
+      self.broadcastPending = false;
+      if (self.tabSync) {
+         self.tabSync.post({
+            username: self.loggedInUser,
+            permissions: self.cachedPermissions ? permissionsToJSON(self.cachedPermissions) : null
+         });
+      }
+   });
+};
+
+/*
+ * Something we did in the background failed; there's nobody to reject, so
+ * log it and let the 'error' listeners know.
+ */
+NIAuthClient.prototype._reportError = function(what, err) {
+   this.log.warn(what + ' failed: ' + err);
+   if (this.listenerCount('error')) {
+      this.emit('error', err);
+   }
+};
+
+/*
+ * Another tab logged in or out, or its permissions changed: take on its
+ * state straight away, then check the session with the target to be sure.
+ */
+NIAuthClient.prototype._receiveFromTab = function(message) {
+   var self = this;
+
+   if (!message || typeof message.username !== 'string') {
+      return;
+   }
+
+   this.receivingFromTab = true;
+   try {
+      this._setUser(message.username);
+      if (message.username) {
+         this._setPermissions(Array.isArray(message.permissions) ?
+            new PermissionSet(message.permissions) : undefined);
+      }
+   } finally {
+      this.receivingFromTab = false;
+   }
+
+   this.log.debug('another tab changed the session', {username: message.username});
+   this.updateFromSession().catch(function(err) {
+      self._reportError('checking the session', err);
+   });
+};
+
+/*
+ * The value of the session cookie, or '' if we can't see it.
+ */
+NIAuthClient.prototype._getSessionId = function() {
+   if (this.cookieJar) {
+      return this.cookieJar.get(SESSION_COOKIE) || '';
+   }
+   if (this.baseUrl || typeof document === 'undefined') {
+      return '';
+   }
+   var match = document.cookie.match(new RegExp('(?:^|;\\s*)' + SESSION_COOKIE + '=([^;]*)'));
+   return match ? match[1] : '';
+};
+
+NIAuthClient.prototype._getStorageKey = function() {
+   var target = this.baseUrl;
+   if (!target && typeof location !== 'undefined') {
+      target = location.origin;
+   }
+   return STORAGE_PREFIX + target;
+};
+
+/*
+ * Remember who is logged in and what they may do, in options.storage.
+ *
+ * There is one entry per target, which also records the session it
+ * belongs to; _loadSession() ignores it once that session is gone.
+ * Storage can fail (quota, private browsing); the cache is only an
+ * optimization, so we carry on without it.
+ */
+NIAuthClient.prototype._saveSession = function() {
+   if (!this.storage) {
+      return;
+   }
+
+   try {
+      if (this.loggedInUser && this.cachedPermissions) {
+         this.storage.setItem(this._getStorageKey(), JSON.stringify({
+            session: this._getSessionId(),
+            username: this.loggedInUser,
+            permissions: permissionsToJSON(this.cachedPermissions)
+         }));
+      } else if (!this.loggedInUser) {
+         this.storage.removeItem(this._getStorageKey());
+      }
+   } catch (e) {
+      /* Never mind. */
+   }
+};
+
+/*
+ * Get what _saveSession() remembered about the current session.
+ *
+ * @returns {Object} {username, permissions}, or undefined if there's
+ *    nothing for this session
+ */
+NIAuthClient.prototype._loadSession = function() {
+   var saved;
+
+   if (!this.storage) {
+      return undefined;
+   }
+
+   try {
+      saved = JSON.parse(this.storage.getItem(this._getStorageKey()));
+   } catch (e) {
+      return undefined;
+   }
+
+   if (!saved || typeof saved.username !== 'string' || !Array.isArray(saved.permissions) ||
+       saved.session !== this._getSessionId()) {
+      return undefined;
+   }
+   return {
+      username: saved.username,
+      permissions: new PermissionSet(saved.permissions)
+   };
+};
+
+/*
+ * Pick out the options that control requests (signal, timeout and retry),
+ * to pass on from one method to another.
+ */
+var requestOptions = function(options) {
+   var opts = options || {};
+   return {signal: opts.signal, timeout: opts.timeout, retry: opts.retry};
+};
+
+/*
+ * Fill in a retry policy from the defaults.
+ */
+var getRetryPolicy = function(retry) {
+   var given = (typeof retry === 'number') ? {retries: retry} : (retry || {});
+   var policy = {};
+
+   Object.keys(DEFAULT_RETRY).forEach(function(key) {
+      policy[key] = (given[key] !== undefined) ? given[key] : DEFAULT_RETRY[key];
+   });
+   return policy;
+};
+
+/*
+ * Why a signal was aborted, for rejecting with; like fetch(), this is an
+ * AbortError unless the signal says otherwise.
+ */
+var abortReason = function(signal) {
+   if (signal.reason !== undefined) {
+      return signal.reason;
+   }
+   if (typeof DOMException === 'function') {
+      return new DOMException('The operation was aborted.', 'AbortError');
+   }
+   var err = new Error('The operation was aborted.');
+   err.name = 'AbortError';
+   return err;
+};
+
+/*
+ * Did a request fail without an answer from the target? fetch() rejects
+ * with a TypeError when it can't reach the server.
+ */
+var isNetworkError = function(err) {
+   return (err instanceof Errors.TimeoutError || err instanceof TypeError);
+};
+
+/*
+ * Wait a while before trying again, unless the signal is aborted first.
+ */
+var sleep = function(ms, signal) {
+   return new Promise(function(resolve, reject) {
+      var timer;
+      var onAbort = function() {
+         clearTimeout(timer);
+         reject(abortReason(signal));
+      };
+
+      if (signal && signal.aborted) {
+         onAbort();
+         return;
+      }
+      timer = setTimeout(function() {
+         if (signal) {
+            signal.removeEventListener('abort', onAbort);
+         }
+         resolve();
+      }, ms);
+      if (signal) {
+         signal.addEventListener('abort', onAbort);
+      }
+   });
+};
+
+/* The Response methods that read the body. */
+var BODY_METHODS = ['arrayBuffer', 'blob', 'formData', 'json', 'text'];
+
+/*
+ * Wait for something, but give up when the signal is aborted or the
+ * timeout passes, even if what we're waiting for doesn't support signals.
+ * Giving up aborts the controller, which cancels the request underneath.
+ *
+ * @param {Function} wait - Returns (a promise of) what we're waiting for
+ * @param {AbortController} [controller]
+ * @param {AbortSignal} [signal]
+ * @param {Number} timeout - In milliseconds, or 0 for none
+ * @param {Function} timeoutError - Returns the error for a timeout
+ * @returns {Promise} settles like wait(), unless we give up first
+ */
+var withDeadline = function(wait, controller, signal, timeout, timeoutError) {
+   return new Promise(function(resolve, reject) {
+      var settled = false;
+      var timer;
+
+      var settle = function(callback, value) {
+         if (!settled) {
+            settled = true;
+            clearTimeout(timer);
+            if (signal) {
+               signal.removeEventListener('abort', onAbort);
+            }
+            callback(value);
+         }
+      };
+      var giveUp = function(err) {
+         if (controller) {
+            controller.abort(err);
+         }
+         settle(reject, err);
+      };
+      var onAbort = function() {
+         giveUp(abortReason(signal));
+      };
+
+      if (signal && signal.aborted) {
+         reject(abortReason(signal));
+         return;
+      }
+      if (signal) {
+         signal.addEventListener('abort', onAbort);
+      }
+      if (timeout > 0) {
+         timer = setTimeout(function() {
+            giveUp(timeoutError());
+         }, timeout);
+      }
+
+      new Promise(function(resolveWait) {
+         resolveWait(wait());
+      }).then(function(value) {
+         settle(resolve, value);
+      }, function(err) {
+         settle(reject, err);
+      });
+   });
+};
+
+/*
+ * Issue a request to the target, once.
+ *
+ * This gives up when the signal is aborted or the timeout passes, even if
+ * the fetch() implementation doesn't support signals. Once the headers
+ * have arrived, the timeout and the signal only apply again while a body
+ * method (text(), json() and so on) is reading: each read gets a fresh
+ * timeout, however long after the request it starts.
+ *
+ * @param {String} path
+ * @param {Object} init - As for fetch()
+ * @param {AbortSignal} [signal]
+ * @param {Number} timeout - In milliseconds, or 0 for none
+ * @returns {Promise} resolves to the response
+ */
+NIAuthClient.prototype._fetchOnce = function(path, init, signal, timeout) {
+   var cookieJar = this.cookieJar;
+   var fetchImpl = this.fetchImpl || fetch;
+   var url = this.baseUrl + path;
+   var safeUrl = Logger.redactQuery(url);
+   var controller = (typeof AbortController !== 'undefined') ? new AbortController() : undefined;
+
+   if (controller) {
+      init.signal = controller.signal;
+   }
+   if (cookieJar) {
+      init.headers = init.headers || {};
+      init.headers['Cookie'] = cookieJar.getCookieHeader();
+   }
+
+   var guardBody = function(response) {
+      BODY_METHODS.forEach(function(name) {
+         var read = response[name];
+         if (typeof read !== 'function') {
+            return;
+         }
+         response[name] = function() {
+            var args = arguments;
+            return withDeadline(function() {
+               return read.apply(response, args);
+            }, controller, signal, timeout, function() {
+               return new Errors.TimeoutError(
+                  'The answer from ' + safeUrl + ' stalled for ' + timeout + ' ms', timeout);
+            });
+         };
+      });
+   };
+
+   return withDeadline(function() {
+      return fetchImpl(url, init);
+   }, controller, signal, timeout, function() {
+      return new Errors.TimeoutError('No answer from ' + safeUrl + ' after ' + timeout + ' ms', timeout);
+   }).then(function(response) {
+      if (cookieJar) {
+         cookieJar.setCookiesFromResponse(response);
+      }
+      guardBody(response);
+      return response;
+   });
+};
+
+/*
+ * Issue a request to the target, trying again after network errors as the
+ * retry policy allows.
+ *
+ * @param {String} path
+ * @param {Object} init - As for fetch()
+ * @param {Object} [options] - signal, timeout and retry, which override
+ *    the client's own
+ * @returns {Promise} resolves to the response
+ */
+NIAuthClient.prototype._fetch = function(path, init, options) {
+   var self = this;
+   var opts = options || {};
+   var timeout = (opts.timeout !== undefined) ? opts.timeout : this.timeout;
+   var retry = getRetryPolicy((opts.retry !== undefined) ? opts.retry : this.retry);
+   var method = (init.method || 'GET').toUpperCase();
+   var safePath = Logger.redactQuery(path);
+   var attempt = 0;
+
+   init.credentials = this.credentials;
+
+   var tryFetch = function() {
+      var started = Date.now();
+
+      self.log.trace('request', {method: method, path: safePath, attempt: attempt + 1});
+      return self._fetchOnce(path, init, opts.signal, timeout).then(function(response) {
+         self.log.trace('response', {
+            method: method,
+            path: safePath,
+            status: response.status,
+            ms: Date.now() - started,
+            authParams: response.headers.get('X-NI-AUTH-PARAMS') || undefined
+         });
+         return response;
+      }, function(err) {
+         self.log.trace('no response', {method: method, path: safePath, error: String(err), ms: Date.now() - started});
+         if (attempt >= retry.retries || retry.methods.indexOf(method) === -1 ||
+             !isNetworkError(err) || (opts.signal && opts.signal.aborted)) {
+            throw err;
+         }
+
+         var delay = Math.min(retry.maxDelay, retry.delay * Math.pow(2, attempt));
+         ++attempt;
+         self.log.warn(method + ' ' + safePath + ' failed (' + err + '), retrying in ' + delay + ' ms');
+         return sleep(delay, opts.signal).then(tryFetch);
+      });
+   };
+   return tryFetch();
+};
+
+/*
+ * Do we (possibly) have a session with the target?
+ *
+ * We can only see the cookie when it's in our own jar or when the target
+ * is the page's own origin; for anything else, we have to ask the server.
+ */
+NIAuthClient.prototype._hasSessionCookie = function() {
+   if (this.cookieJar) {
+      return this.cookieJar.get(SESSION_COOKIE) !== undefined;
+   }
+   if (this.baseUrl || typeof document === 'undefined') {
+      return true;
+   }
+   return document.cookie.search(SESSION_COOKIE) !== -1;
+};
+
+/*
+ * GET an XML document from the target.
+ *
+ * @param {String} path
+ * @param {String} what - Description of the thing we're getting, for errors
+ * @param {Object} [options] - signal, timeout and retry
+ * @returns {Promise} resolves to the parsed document
+ */
+NIAuthClient.prototype._getXML = function(path, what, options) {
+   return this._fetch(path, {
+      method: 'GET',
+      headers: { 'Accept': 'text/xml' },
+   }, options).then(function(response) {
+      if (response.status !== 200) {
+         throw new Errors.UnexpectedStatusError(
+            'Could not get ' + what + ' (' + response.status + ')', response.status);
+      }
+      return response.text();
+   }).then(function(text) {
+      return XML.parse(text);
+   });
+};
+
+/*
+ * POST a form to the target.
+ *
+ * @param {String} path
+ * @param {Object} params - Form fields
+ * @param {Object} [options] - signal, timeout and retry
+ * @returns {Promise} resolves to the response
+ */
+NIAuthClient.prototype._post = function(path, params, options) {
+   var data = [];
+   for (var name in params) {
+      if (params.hasOwnProperty(name)) {
+         data.push(encodeURIComponent(name) + '=' + encodeURIComponent(params[name]));
+      }
+   }
+
+   return this._fetch(path, {
+      method: 'POST',
+      headers: {
+         'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: data.join('&'),
+   }, options);
+};
+
+/*
+ * POST a form to the target, and make sure that it worked.
+ *
+ * @param {String} path
+ * @param {Object} params - Form fields
+ * @param {String} what - Description of what we're doing, for errors
+ * @param {Object} [options] - signal, timeout and retry
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype._postForm = function(path, params, what, options) {
+   return this._post(path, params, options).then(function(response) {
+      if (response.status !== 200) {
+         throw new Errors.UnexpectedStatusError(
+            'Could not ' + what + ' (' + response.status + ')', response.status);
+      }
+      return true;
+   });
+};
+
+/*
+ * Retrieve the user permissions for a user.
+ *
+ * @returns {Promise} will resolve to a PermissionSet
+ */
+NIAuthClient.prototype.getAggregateUserPermissions = function(username, options) {
+   return this._getXML('/LVWSAuthSvc/GetAggregateUserPermissions?username=' +
+      encodeURIComponent(username || ''), 'permissions', options).then(_parsePermissions);
+};
+
+/*
+ * List the users on the target.
+ *
+ * Experimental, like the rest of the user and group administration and
+ * changePassword(): these LVWSAuthSvc endpoints aren't documented, and
+ * follow lib/MockServer.js rather than a real target.
+ *
+ * @returns {Promise} resolves to an array of User
+ */
+NIAuthClient.prototype.getUsers = function(options) {
+   return this._getXML('/LVWSAuthSvc/GetUsers', 'users', options).then(function(xmlData) {
+      return _parseList(xmlData, 'Users', 'User', User);
+   });
+};
+
+/*
+ * List the groups on the target.
+ *
+ * @returns {Promise} resolves to an array of Group
+ */
+NIAuthClient.prototype.getGroups = function(options) {
+   return this._getXML('/LVWSAuthSvc/GetGroups', 'groups', options).then(function(xmlData) {
+      return _parseList(xmlData, 'Groups', 'Group', Group);
+   });
+};
+
+/*
+ * Answer an SRP challenge (a 403 with an X-NI-AUTH-PARAMS header) by
+ * computing our public key and proof.
+ *
+ * @param {SRP.Client} srpClient - Client with the identity already set
+ * @param {Response} response - The server's challenge
+ * @returns {Object} form fields A, M and ss, plus the srpGroup and hash used
+ */
+var answerChallenge = function(srpClient, response) {
+   /* Obtain the SRP parameters */
+   var serverInfo = AuthParams.parseChallenge(response.headers.get('X-NI-AUTH-PARAMS'));
+
+   srpClient.setServerInfo(serverInfo);
+   var clientParams = srpClient.generatePublicKeyAndProof();
+
+   return {
+      A: Utils.makeUrlBase64(Utils.bigIntToBase64(clientParams.clientPublicKey,
+         Primes.getGroup(serverInfo.srpGroup).length)),
+      M: Utils.makeUrlBase64(Utils.hexStringToBase64(clientParams.clientProof)),
+      ss: serverInfo.loginToken,
+      srpGroup: serverInfo.srpGroup,
+      hash: serverInfo.hash
+   };
+};
+
+/*
+ * Wipe the SRP client's secrets once a handshake is over, however it
+ * ends: a garbled challenge or proof, or a request that fails, must not
+ * leave the password behind.
+ */
+var wipeAfter = function(srpClient, promise) {
+   return promise.then(function(value) {
+      srpClient.wipe();
+      return value;
+   }, function(err) {
+      srpClient.wipe();
+      throw err;
+   });
+};
+
+/*
+ * Compute the form fields for a user's password. The verifier is
+ * computed here so that the password itself is never sent to the target.
+ * Like the login parameters, "H" is only sent for hashes other than SHA-1.
+ *
+ * @returns {Promise} resolves to the fields
+ */
+var makePasswordParams = function(username, password, options) {
+   var group = Primes.getGroup(options.srpGroup !== undefined ? options.srpGroup : 0);
+   var hash = options.hash || 'SHA-1';
+
+   if (group === undefined) {
+      return Promise.reject(new TypeError('Unknown SRP group: ' + options.srpGroup));
+   }
+
+   return SRP.createVerifierAsync(username, password, group.n, group.g, hash).then(function(verifier) {
+      var params = {
+         username: username,
+         N: group.id,
+         s: Utils.makeUrlBase64(Base64.encode(verifier.salt)),
+         v: Utils.makeUrlBase64(Utils.bigIntToBase64(verifier.verifier, group.length))
+      };
+      if (hash !== 'SHA-1') {
+         params.H = hash;
+      }
+      return params;
+   });
+};
+
+/*
+ * Create a new user.
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {Object} [options]
+ * @param {Number|String} [options.srpGroup] - Which group to compute the
+ *    password verifier with: an NIAuth prime index or an RFC 5054 group name
+ *    such as 'rfc5054-2048'. Defaults to 0.
+ * @param {String} [options.hash] - 'SHA-1' (the default) or 'SHA-256'
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.addUser = function(username, password, options) {
+   var self = this;
+   var opts = options || {};
+   return makePasswordParams(username, password, opts).then(function(params) {
+      return self._postForm('/LVWSAuthSvc/AddUser', params, 'add user', opts);
+   });
+};
+
+/*
+ * Delete a user.
+ *
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.removeUser = function(username, options) {
+   return this._postForm('/LVWSAuthSvc/RemoveUser', {username: username}, 'remove user', options);
+};
+
+/*
+ * Set a user's password.
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {Object} [options]
+ * @param {Number|String} [options.srpGroup] - Which group to compute the
+ *    password verifier with: an NIAuth prime index or an RFC 5054 group name
+ *    such as 'rfc5054-2048'. Defaults to 0.
+ * @param {String} [options.hash] - 'SHA-1' (the default) or 'SHA-256'
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.setUserPassword = function(username, password, options) {
+   var self = this;
+   var opts = options || {};
+   return makePasswordParams(username, password, opts).then(function(params) {
+      return self._postForm('/LVWSAuthSvc/SetUserPassword', params, 'set password', opts);
+   });
+};
+
+/*
+ * Add a user to a group.
+ *
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.addUserToGroup = function(username, group, options) {
+   return this._postForm('/LVWSAuthSvc/AddUserToGroup',
+      {username: username, group: group}, 'add user to group', options);
+};
+
+/*
+ * Remove a user from a group.
+ *
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.removeUserFromGroup = function(username, group, options) {
+   return this._postForm('/LVWSAuthSvc/RemoveUserFromGroup',
+      {username: username, group: group}, 'remove user from group', options);
+};
+
+/*
+ * Grant a permission to a group.
+ *
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.grantPermission = function(group, permission, options) {
+   return this._postForm('/LVWSAuthSvc/GrantPermission',
+      {group: group, permission: permission}, 'grant permission', options);
+};
+
+/*
+ * Revoke a permission from a group.
+ *
+ * @returns {Promise} resolves to true if successful
+ */
+NIAuthClient.prototype.revokePermission = function(group, permission, options) {
+   return this._postForm('/LVWSAuthSvc/RevokePermission',
+      {group: group, permission: permission}, 'revoke permission', options);
+};
+
+/*
+ * Fetch the logged-in user's permissions from the target.
+ *
+ * @returns {Promise} resolves to true, or false if the user logged out
+ *    (or someone else logged in) while we were asking
+ */
+NIAuthClient.prototype.updatePermissionsCache = function(options) {
+   var self = this;
+   var username = this.loggedInUser;
+
+   return this.getAggregateUserPermissions(username, options).then(function(permissions) {
+      if (self.loggedInUser !== username) {
+         return false;
+      }
+      self._setPermissions(permissions);
+      return true;
+   });
+};
+
+NIAuthClient.prototype.getUserName = function() {
+   return this.loggedInUser;
+};
+
+/*
+ * The key that a session operation is queued with, so that the same call
+ * made twice shares one promise. A call with its own signal could be
+ * cancelled without the other, so it doesn't share.
+ */
+var operationKey = function(args, options) {
+   if (options && options.signal) {
+      return undefined;
+   }
+   return JSON.stringify(args);
+};
+
+/*
+ * This is used to synchronize the client state with the server state;
+ * specifically, if we have a session cookie, we want to figure out if
+ * that cookie is for a valid session.
+ *
+ * If we thought someone was logged in and the session is gone, this
+ * emits 'sessionExpired'.
+ *
+ * After a page reload, the user name and permissions are restored from
+ * options.storage straight away, before asking the target, so that the
+ * page doesn't look logged out in the meantime. That happens quietly:
+ * 'login' and 'permissionsChanged' are emitted, and other tabs told, only
+ * once the target confirms the session. If it doesn't, or can't be asked,
+ * the restored user is dropped again. Once confirmed, the permissions are
+ * refreshed in the background; that emits 'permissionsChanged' if they
+ * changed, or 'error' if it fails.
+ *
+ * @returns {Promise} true if logged in, false if logged out
+ */
+NIAuthClient.prototype.updateFromSession = function(options) {
+   var self = this;
+
+   return this.operations.run(operationKey(['updateFromSession'], options), function() {
+      return self._updateFromSession(options);
+   });
+};
+
+/*
+ * updateFromSession(), once it's our turn.
+ */
+NIAuthClient.prototype._updateFromSession = function(options) {
+   var self = this;
+   var restored;
+
+   if (!this._hasSessionCookie()) {
+      /* We don't have a session cookie on our end. */
+      this._setUser('', 'sessionExpired');
+      return Promise.resolve(false);
+   }
+
+   if (!this.loggedInUser) {
+      restored = this._loadSession();
+      if (restored) {
+         this.loggedInUser = restored.username;
+         this.cachedPermissions = restored.permissions;
+         this.sessionUnverified = true;
+      }
+   }
+
+   return this._fetch('/Login', {
+      method: 'GET',
+   }, options).then(function(response) {
+
+      if (response.status === 200) {
+         /*
+          * The response text is a plain text string:
+          * "Logged in as: username"
+          */
+         return response.text().then(function(str) {
+            var username = getUserNameFromLoggedInString(str);
+            self._setUser(username, 'sessionExpired');
+            if (restored && username === restored.username) {
+               self._setPermissions(restored.permissions);
+            }
+
+            if (restored || self.cachedPermissions === undefined) {
+               self.updatePermissionsCache().catch(function(err) {
+                  self._reportError('refreshing permissions', err);
+               });
+            }
+            return true;
+         });
+      } else {
+         /*
+          * For any other error, assume that the session is bad or
+          * expired.
+          */
+         self._setUser('', 'sessionExpired');
+         return false;
+      }
+   }).then(null, function(err) {
+      self._forgetUnverifiedSession();
+      throw err;
+   });
+};
+
+/*
+ * Handle the server's response to the second half of the SRP handshake.
+ *
+ * @returns {Promise} will resolve to true if successful
+ */
+NIAuthClient.prototype._finishLogin = function(username, password, response) {
+   var self = this;
+   var serverProven;
+
+   try {
+      serverProven = (response.status === 200 &&
+         this.srpClient.verifyServerProof(AuthParams.parseProof(response.headers.get('X-NI-AUTH-PARAMS'))));
+   } finally {
+      /* Either way, we're done with the secrets from this handshake. */
+      this.srpClient.wipe();
+   }
+   this.log.trace('server proof', {status: response.status, verified: serverProven});
+
+   if (response.status === 200) {
+      /*
+       * The server has accepted our proof; now make sure that the
+       * server can prove that it knows K as well. Otherwise, anyone
+       * willing to answer with a 200 could pose as the target.
+       */
+      if (!serverProven) {
+         throw new Errors.ServerAuthenticationFailedError('Server authentication failed!');
+      }
+
+      /* Success! The response includes the new permissions set. */
+      return response.text().then(function(permText) {
+         return _parsePermissions(XML.parse(permText));
+      }).then(function(newPermissions) {
+         self._setUser(username);
+         self._setPermissions(newPermissions);
+         self.handshakeCredentials = {username: username, password: password};
+         if (self.rememberCredentials) {
+            self.rememberedCredentials = {username: username, password: password};
+         }
+         return true;
+      });
+   } else if (response.status === 403) {
+      /* Authentication failed. */
+      throw new Errors.AuthenticationFailedError('Login failed!');
+   } else {
+      throw new Errors.UnexpectedStatusError(
+         'Unknown/unhandled status code from NIAuth (' + response.status + ')', response.status);
+   }
+};
+
+/*
+ * Log in to NIAuth.
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {Object} [options]
+ * @param {Boolean} [options.switchUser] - If a different user is already
+ *    logged in, log them out first instead of failing.
+ * @param {AbortSignal} [options.signal] - Cancels the login
+ * @param {Number} [options.timeout] - For each request, in milliseconds
+ * @param {Object|Number} [options.retry] - Retry policy
+ * @returns {Promise} will resolve to the name of the user now logged in.
+ *    Rejects with an AuthenticationFailedError if the user name or
+ *    password is wrong, an AlreadyLoggedInError if someone else is logged
+ *    in, or a TimeoutError if the target doesn't answer.
+ */
+NIAuthClient.prototype.login = function(username, password, options) {
+   var self = this;
+   var opts = options || {};
+
+   ++this.queuedLogins;
+   var result = this.operations.run(operationKey(['login', username, password, !!opts.switchUser], opts), function() {
+      self.log.trace('login', {username: username, switchUser: !!opts.switchUser});
+      return self._login(username, password, opts).then(function() {
+         self.log.trace('logged in', {username: self.loggedInUser, permissions: self.getPermissions().names()});
+         return self.loggedInUser;
+      }, function(err) {
+         self.log.trace('login failed', {username: username, error: String(err)});
+         self.log.warn('logging in as ' + username + ' failed: ' + err);
+         throw err;
+      });
+   });
+
+   /* Don't hold on to the password once no login is waiting to check it. */
+   var done = function() {
+      if (--self.queuedLogins === 0) {
+         self.handshakeCredentials = undefined;
+      }
+   };
+   result.then(done, done);
+   return result;
+};
+
+/*
+ * login(), once it's our turn.
+ */
+NIAuthClient.prototype._login = function(username, password, opts) {
+   var self = this;
+   var request = requestOptions(opts);
+
+   /*
+    * Issue the initial login request.
+    */
+   return this._fetch('/Login?username=' + encodeURIComponent(username || ''), {
+      method: 'GET',
+   }, request).then(function(response) {
+
+      if (response.status === 200) {
+         /*
+          * If we get a 200, we have a valid session cookie and we're
+          * already logged in. The response text is a plain text string:
+          * "Logged in as: username"
+          * We need to make sure it matches.
+          */
+         return response.text().then(function(str) {
+            self._setUser(getUserNameFromLoggedInString(str), 'sessionExpired');
+
+            self.log.trace('existing session', {username: self.loggedInUser});
+            if (self.loggedInUser === username) {
+               var earlier = self.handshakeCredentials;
+               if (earlier && earlier.username === username && earlier.password !== password) {
+                  /*
+                   * A login queued ahead of this one logged in with another
+                   * password; the session says nothing about this one.
+                   */
+                  throw new Errors.AuthenticationFailedError('Login failed!');
+               }
+               /* Excellent. Update permissions. */
+               return self.updatePermissionsCache(request);
+            } else if (opts.switchUser) {
+               /*
+                * Someone else is logged in; log them out and start over.
+                * (Without switchUser, so that we don't go around in
+                * circles if the server doesn't let go of the session.)
+                */
+               return self._logout(request).then(function() {
+                  return self._login(username, password, request);
+               });
+            } else {
+               throw new Errors.AlreadyLoggedInError(
+                  'Already logged in as ' + self.loggedInUser + ', log out first!', self.loggedInUser);
+            }
+         });
+
+      } else if (response.status === 403) {
+         /*
+          * A 403 is "expected" on a fresh login. It's how we obtain the
+          * X-NI-AUTH-PARAMS header containing information for the next
+          * part of the SRP handshake.
+          */
+
+         /* Configure the SRP client and generate the client-side parameters */
+         self.srpClient.setIdentity({username:username, password:password});
+         return wipeAfter(self.srpClient, new Promise(function(resolve) {
+            var answer = answerChallenge(self.srpClient, response);
+            self.log.trace('challenge', {
+               srpGroup: answer.srpGroup,
+               bits: Primes.getGroup(answer.srpGroup).length * 8,
+               hash: answer.hash
+            });
+            self.log.trace('client proof', {A: answer.A, M: answer.M, ss: answer.ss});
+
+            /* Send the client-side parameters back to the server */
+            var data;
+            data  = 'A=' + answer.A;
+            data += '&M=' + answer.M;
+            data += '&ss=' + answer.ss;
+
+            resolve(self._fetch('/Login', {
+               method: 'POST',
+               headers: {
+                  'Content-Type': 'application/x-www-form-urlencoded',
+               },
+               body: data,
+            }, request));
+         }).then(function(response) {
+            return self._finishLogin(username, password, response);
+         }));
+      } else {
+         throw new Errors.UnexpectedStatusError(
+            'Unknown/unhandled status code from NIAuth (' + response.status + ')', response.status);
+      }
+   });
+};
+
+/*
+ * Change the logged-in user's password.
+ *
+ * The old password is proven with an SRP handshake, just like logging in,
+ * and the new one is sent as a freshly-salted verifier; neither password
+ * leaves this machine.
+ *
+ * @param {String} oldPassword
+ * @param {String} newPassword
+ * @param {Object} [options]
+ * @param {Number|String} [options.srpGroup] - Which group to compute the new
+ *    verifier with. Defaults to the one the old password uses.
+ * @param {String} [options.hash] - Which hash to compute the new verifier
+ *    with. Defaults to the one the old password uses.
+ * @param {AbortSignal} [options.signal] - And timeout and retry, as for
+ *    login()
+ * @returns {Promise} will resolve to true if successful. Rejects with an
+ *    AuthenticationFailedError if the old password is wrong.
+ */
+NIAuthClient.prototype.changePassword = function(oldPassword, newPassword, options) {
+   var self = this;
+   var opts = options || {};
+   var username = this.loggedInUser;
+   var srpClient = new SRP.Client();
+
+   if (!username) {
+      return Promise.reject(new Errors.NIAuthError('Not logged in'));
+   }
+
+   srpClient.setIdentity({username:username, password:oldPassword});
+
+   return wipeAfter(srpClient, this._fetch('/LVWSAuthSvc/ChangePassword?username=' + encodeURIComponent(username), {
+      method: 'GET',
+   }, opts).then(function(response) {
+      if (response.status !== 403) {
+         throw new Errors.UnexpectedStatusError(
+            'Unknown/unhandled status code from NIAuth (' + response.status + ')', response.status);
+      }
+
+      var answer = answerChallenge(srpClient, response);
+      return makePasswordParams(username, newPassword, {
+         srpGroup: (opts.srpGroup !== undefined) ? opts.srpGroup : answer.srpGroup,
+         hash: opts.hash || answer.hash
+      }).then(function(params) {
+         params.A = answer.A;
+         params.M = answer.M;
+         params.ss = answer.ss;
+
+         return self._post('/LVWSAuthSvc/ChangePassword', params, opts);
+      });
+   }).then(function(response) {
+      var serverProven = (response.status === 200 &&
+         srpClient.verifyServerProof(AuthParams.parseProof(response.headers.get('X-NI-AUTH-PARAMS'))));
+
+      if (response.status === 403) {
+         throw new Errors.AuthenticationFailedError('Old password is incorrect');
+      } else if (response.status !== 200) {
+         throw new Errors.UnexpectedStatusError(
+            'Could not change password (' + response.status + ')', response.status);
+      }
+
+      if (!serverProven) {
+         throw new Errors.ServerAuthenticationFailedError('Server authentication failed!');
+      }
+
+      /* authFetch() should log in again with the new password, not the old one. */
+      if (self.rememberedCredentials && self.rememberedCredentials.username === username) {
+         self.rememberedCredentials.password = newPassword;
+      }
+      return true;
+   }));
+};
+
+/*
+ * Logs out of NI Auth. This clears the session.
+ *
+ * @param {Object} [options] - signal, timeout and retry
+ * @returns {Promise} will resolve to true if successful, or reject with an
+ *    UnexpectedStatusError if the server refuses
+ */
+NIAuthClient.prototype.logout = function(options) {
+   var self = this;
+
+   return this.operations.run(operationKey(['logout'], options), function() {
+      return self._logout(options);
+   });
+};
+
+/*
+ * logout(), once it's our turn.
+ */
+NIAuthClient.prototype._logout = function(options) {
+   var self = this;
+
+   if (!this._hasSessionCookie()) {
+      /*
+       * If we don't have the session cookie, then we don't have a session.
+       * Ergo, we are already logged out.
+       */
+      this._setUser('');
+      this.rememberedCredentials = undefined;
+      return Promise.resolve(true);
+   }
+
+   return this._fetch('/Logout', {
+      method: 'GET',
+   }, options).then(function(response) {
+      if (response.status === 200) {
+         self._setUser('');
+         self.rememberedCredentials = undefined;
+         return true;
+      } else {
+         throw new Errors.UnexpectedStatusError(
+            'Could not log out (' + response.status + ')', response.status);
+      }
+   });
+};
+
+/*
+ * Is this response NIAuth asking us to log in?
+ *
+ * A plain 403 might just mean that the user isn't allowed to do
+ * something; only a 403 with the SRP parameters (or a 401) means that
+ * there's no session.
+ */
+var isAuthChallenge = function(response) {
+   return response.status === 401 ||
+      (response.status === 403 && !!response.headers.get('X-NI-AUTH-PARAMS'));
+};
+
+/* Our own options in authFetch()'s init, which _fetch() takes care of. */
+var REQUEST_OPTIONS = {signal: true, timeout: true, retry: true};
+
+/*
+ * Copy fetch() options, so that we can send the same request twice (and
+ * add our own headers) without touching the caller's object. Headers may
+ * be a plain object, an array of pairs, or a Headers.
+ */
+var copyRequestInit = function(init) {
+   var ret = {};
+   var key;
+
+   for (key in init) {
+      if (init.hasOwnProperty(key) && !REQUEST_OPTIONS.hasOwnProperty(key)) {
+         ret[key] = init[key];
+      }
+   }
+
+   ret.headers = {};
+   if (init && Array.isArray(init.headers)) {
+      init.headers.forEach(function(pair) {
+         ret.headers[pair[0]] = pair[1];
+      });
+   } else if (init && init.headers && typeof init.headers.forEach === 'function') {
+      init.headers.forEach(function(value, name) {
+         ret.headers[name] = value;
+      });
+   } else if (init && init.headers) {
+      for (key in init.headers) {
+         if (init.headers.hasOwnProperty(key)) {
+            ret.headers[key] = init.headers[key];
+         }
+      }
+   }
+   return ret;
+};
+
+/*
+ * Figure out who to log in as, when authFetch() needs to.
+ *
+ * @returns {Promise} resolves to {username, password}, or undefined
+ */
+NIAuthClient.prototype._obtainCredentials = function() {
+   if (this.rememberedCredentials) {
+      return Promise.resolve(this.rememberedCredentials);
+   }
+   if (this.getCredentials) {
+      return Promise.resolve(this.getCredentials());
+   }
+   return Promise.resolve(undefined);
+};
+
+/*
+ * Make a request to a (LabVIEW) web service on the target, with our
+ * session.
+ *
+ * If the session has lapsed, the request is answered with an NIAuth
+ * challenge; in that case, log in again (with the remembered credentials,
+ * or ones from the getCredentials option) and retry the request once.
+ * Since the request may be sent twice, init.body should not be a stream.
+ *
+ * @param {String} path - Path on the target, e.g. "/MyService/DoThing"
+ * @param {Object} [init] - As for fetch(), plus timeout and retry as for
+ *    the client's options. init.signal cancels logging in, too.
+ * @returns {Promise} resolves to the response
+ */
+NIAuthClient.prototype.authFetch = function(path, init) {
+   var self = this;
+   var request = requestOptions(init);
+
+   return this._fetch(path, copyRequestInit(init), request).then(function(response) {
+      if (!isAuthChallenge(response)) {
+         return response;
+      }
+
+      return self._obtainCredentials().then(function(credentials) {
+         if (!credentials) {
+            /* Nothing we can do; let the caller deal with it. */
+            return response;
+         }
+
+         var loginOptions = requestOptions(request);
+         loginOptions.switchUser = true;
+         return self.login(credentials.username, credentials.password, loginOptions).then(function() {
+            return self._fetch(path, copyRequestInit(init), request);
+         });
+      });
+   });
+};
+
+/*
+ * Check the session every so often, so that we notice (and emit
+ * 'sessionExpired') when it times out or the target reboots.
+ *
+ * @param {Number} intervalMs - How often to check, in milliseconds
+ */
+NIAuthClient.prototype.startSessionMonitor = function(intervalMs) {
+   var self = this;
+
+   this.stopSessionMonitor();
+   this.sessionMonitor = setInterval(function() {
+      self.updateFromSession().catch(function(err) {
+         self._reportError('checking the session', err);
+      });
+   }, intervalMs);
+
+   /* Don't keep Node.js running just for this. */
+   if (this.sessionMonitor.unref) {
+      this.sessionMonitor.unref();
+   }
+};
+
+/*
+ * Stop checking the session.
+ */
+NIAuthClient.prototype.stopSessionMonitor = function() {
+   if (this.sessionMonitor !== undefined) {
+      clearInterval(this.sessionMonitor);
+      this.sessionMonitor = undefined;
+   }
+};
+
+/*
+ * Stop telling other tabs about logins, logouts and permission changes,
+ * and stop following theirs.
+ */
+NIAuthClient.prototype.stopTabSync = function() {
+   if (this.tabSync !== undefined) {
+      this.tabSync.close();
+      this.tabSync = undefined;
+   }
+};
+
+/*
+ * Change where the client logs to, as for options.logger and
+ * options.logLevel.
+ *
+ * @param {Object} [logger] - undefined to stop logging
+ * @param {String} [level]
+ */
+NIAuthClient.prototype.setLogger = function(logger, level) {
+   this.log.setLogger(logger, level);
+};
+
+/*
+ * Start recording a trace of each request, response and handshake step,
+ * for diagnosing failed logins. Passwords, SRP secrets and cookies are
+ * left out. This forgets any earlier trace.
+ */
+NIAuthClient.prototype.startTrace = function() {
+   this.log.startTrace();
+};
+
+/*
+ * Stop recording the trace.
+ *
+ * @returns {Object[]} the trace, as for getTrace()
+ */
+NIAuthClient.prototype.stopTrace = function() {
+   return this.log.stopTrace();
+};
+
+/*
+ * Get the trace recorded so far.
+ *
+ * @returns {Object[]} entries of {time, step, details}, oldest first, ready
+ *    for JSON.stringify()
+ */
+NIAuthClient.prototype.getTrace = function() {
+   return this.log.getTrace();
+};
+
+/*
+ * Does the currently logged-in user have permission for something?
+ */
+NIAuthClient.prototype.hasPermission = function(permName) {
+   return this.getPermissions().has(permName);
+};
+
+/*
+ * Get the currently logged-in user's permissions.
+ *
+ * @returns {PermissionSet} the permissions; empty if nobody is logged in,
+ *    or their permissions aren't known yet
+ */
+NIAuthClient.prototype.getPermissions = function() {
+   return this.cachedPermissions || new PermissionSet([]);
+};
+
+NIAuthClient.Permission = Permission;
+NIAuthClient.PermissionSet = PermissionSet;
+NIAuthClient.User = User;
+NIAuthClient.Group = Group;
+
+module.exports = NIAuthClient;
@@ -0,0 +1,80 @@
+/**
+ * @file runs asynchronous operations one at a time
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/**
+ * Create a new operation queue. Operations run one at a time, in the order
+ * they were queued, each starting once the one before it has settled
+ * (whether it succeeded or not). When nothing else is queued, an operation
+ * starts straight away.
+ *
+ * An operation may be queued with a key: while the last one queued has the
+ * same key and is still waiting or running, queueing it again hands back
+ * the same promise instead of running it twice. Once something else has
+ * been queued behind it, it isn't shared any more: the same operation after
+ * a different one needs to run again.
+ */
+var OperationQueue = function() {
+   this._tail = Promise.resolve();
+   this._last = undefined;
+   this._count = 0;
+};
+
+/**
+ * Queue an operation.
+ *
+ * @param {String} [key] - Shares the promise of the last operation queued,
+ *    if it has the same key and hasn't finished; undefined never shares
+ * @param {Function} operation - Returns a value or a promise
+ * @returns {Promise} settles the same way as the operation
+ */
+OperationQueue.prototype.run = function(key, operation) {
+   var self = this;
+
+   if (key !== undefined && this._last && this._last.key === key) {
+      return this._last.result;
+   }
+   var entry = {key: key, result: undefined};
+
+   /*
+    * Forget the operation before anyone hears how it went, so that they
+    * can queue it again straight away.
+    */
+   var forget = function() {
+      --self._count;
+      if (self._last === entry) {
+         self._last = undefined;
+      }
+   };
+
+   var started;
+   if (this._count++ === 0) {
+      started = new Promise(function(resolve) {
+         resolve(operation());
+      });
+   } else {
+      started = this._tail.then(function() {
+         return operation();
+      });
+   }
+
+   var result = started.then(function(value) {
+      forget();
+      return value;
+   }, function(err) {
+      forget();
+      throw err;
+   });
+
+   /* The next operation waits for this one, but not for it to succeed. */
+   this._tail = result.then(function() {}, function() {});
+
+   entry.result = result;
+   this._last = entry;
+   return result;
+};
+
+module.exports = OperationQueue;
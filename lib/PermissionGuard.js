@@ -0,0 +1,179 @@
+/**
+ * @file Hide or disable parts of a page, and guard routes, by permission
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var PERMISSION_ATTR = 'data-niauth-permission';
+var MODE_ATTR = 'data-niauth-mode';
+
+// Remember what we did, so that we only undo our own changes.
+var HIDDEN_MARK = 'data-niauth-hidden';
+var DISABLED_MARK = 'data-niauth-disabled';
+
+/*
+ * Parse a list of permission names, e.g. "Deploy, Reboot".
+ */
+var parseNames = function(str) {
+   return String(str || '').split(',').map(function(name) {
+      return name.trim();
+   }).filter(function(name) {
+      return name.length > 0;
+   });
+};
+
+var toNames = function(required) {
+   return Array.isArray(required) ? required : parseNames(required);
+};
+
+var hide = function(el, hidden) {
+   if (hidden && !el.hasAttribute('hidden')) {
+      el.setAttribute('hidden', '');
+      el.setAttribute(HIDDEN_MARK, '');
+   } else if (!hidden && el.hasAttribute(HIDDEN_MARK)) {
+      el.removeAttribute('hidden');
+      el.removeAttribute(HIDDEN_MARK);
+   }
+};
+
+var disable = function(el, disabled) {
+   if (disabled && !el.hasAttribute('disabled')) {
+      el.setAttribute('disabled', '');
+      el.setAttribute('aria-disabled', 'true');
+      el.setAttribute(DISABLED_MARK, '');
+   } else if (!disabled && el.hasAttribute(DISABLED_MARK)) {
+      el.removeAttribute('disabled');
+      el.removeAttribute('aria-disabled');
+      el.removeAttribute(DISABLED_MARK);
+   }
+};
+
+/**
+ * Keeps elements marked with data-niauth-permission in step with a
+ * client's permissions, and makes route guards.
+ *
+ * Elements list the permissions they need, separated by commas; the user
+ * needs all of them. data-niauth-mode says what happens otherwise: 'hide'
+ * (the default) sets the hidden attribute, and 'disable' sets disabled and
+ * aria-disabled:
+ *
+ *    <button data-niauth-permission="Deploy" data-niauth-mode="disable">
+ *
+ * @param {NIAuthClient} client - The client to follow; the top-level NIAuth
+ *    module works too, for the default client.
+ * @param {Object} [options]
+ * @param {Element|Document} [options.root] - Where to look for elements.
+ *    Defaults to the document.
+ * @param {String|Function} [options.redirect] - Where route guards send
+ *    users who lack a permission; see routeGuard().
+ */
+var PermissionGuard = function(client, options) {
+   var opts = options || {};
+   var self = this;
+
+   this.client = client;
+   this.root = opts.root || document;
+   this.redirect = opts.redirect;
+   this.started = false;
+   this.onPermissionsChanged = function() {
+      self.update();
+   };
+};
+
+/**
+ * Apply the current permissions, and keep applying them whenever they
+ * change (after login, logout, or updateFromSession).
+ *
+ * @returns {PermissionGuard} this
+ */
+PermissionGuard.prototype.start = function() {
+   if (!this.started) {
+      this.client.on('permissionsChanged', this.onPermissionsChanged);
+      this.started = true;
+   }
+   this.update();
+   return this;
+};
+
+/**
+ * Stop following permission changes. Elements are left as they are.
+ */
+PermissionGuard.prototype.stop = function() {
+   if (this.started) {
+      this.client.off('permissionsChanged', this.onPermissionsChanged);
+      this.started = false;
+   }
+};
+
+/**
+ * Does the user have all of these permissions?
+ *
+ * @param {String|String[]} required - A permission name, a comma-separated
+ *    list of them, or an array
+ * @returns {boolean}
+ */
+PermissionGuard.prototype.allows = function(required) {
+   return this.client.getPermissions().hasAll(toNames(required));
+};
+
+/**
+ * Show, hide, enable or disable each marked element according to the
+ * current permissions. start() does this whenever the permissions change;
+ * call it directly after adding marked elements to the page.
+ */
+PermissionGuard.prototype.update = function() {
+   var elements = this.root.querySelectorAll('[' + PERMISSION_ATTR + ']');
+
+   for (var i = 0; i < elements.length; ++i) {
+      var el = elements[i];
+      var allowed = this.allows(el.getAttribute(PERMISSION_ATTR));
+
+      if (el.getAttribute(MODE_ATTR) === 'disable') {
+         disable(el, !allowed);
+      } else {
+         hide(el, !allowed);
+      }
+   }
+};
+
+/**
+ * Make a route guard: a function that returns true if the user may go to a
+ * route, or where to send them instead.
+ *
+ * This fits the navigation guards of most routers, e.g.
+ * { path: '/deploy', beforeEnter: guard.routeGuard('Deploy') }.
+ *
+ * @param {String|String[]} required - The permissions the route needs
+ * @param {String|Function} [redirect] - Where to go otherwise; defaults to
+ *    the guard's redirect option. A function is called with the arguments
+ *    given to the route guard, followed by the names of the missing
+ *    permissions, and returns the redirect.
+ * @returns {Function}
+ */
+PermissionGuard.prototype.routeGuard = function(required, redirect) {
+   var self = this;
+   var names = toNames(required);
+   var target = (redirect !== undefined) ? redirect : this.redirect;
+
+   if (target === undefined) {
+      throw new TypeError('routeGuard needs somewhere to redirect to');
+   }
+
+   return function() {
+      var permissions = self.client.getPermissions();
+      var missing = names.filter(function(name) {
+         return !permissions.has(name);
+      });
+
+      if (missing.length === 0) {
+         return true;
+      }
+      if (typeof target === 'function') {
+         return target.apply(undefined, Array.prototype.slice.call(arguments).concat([missing]));
+      }
+      return target;
+   };
+};
+
+module.exports = PermissionGuard;
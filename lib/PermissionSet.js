@@ -0,0 +1,158 @@
+/**
+ * @file A set of NIAuth permissions
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+/**
+ * An immutable set of permissions, such as those a user has on the target
+ * or those granted to a group.
+ *
+ * @param {Array} permissions - Permission objects, each with a name and
+ *    optionally builtin and id. If a name appears twice, the first wins.
+ */
+var PermissionSet = function(permissions) {
+   this._permissions = [];
+   this._byName = {};
+   this._byId = {};
+
+   var list = permissions || [];
+   for (var i = 0; i < list.length; ++i) {
+      var p = list[i];
+      if (this._byName.hasOwnProperty(p.name)) {
+         continue;
+      }
+
+      this._permissions.push(p);
+      this._byName[p.name] = p;
+      if (p.id !== undefined && p.id !== -1 && !this._byId.hasOwnProperty(p.id)) {
+         this._byId[p.id] = p;
+      }
+   }
+
+   this.size = this._permissions.length;
+};
+
+/**
+ * @param {String} name
+ * @returns {boolean} true if the set has a permission with this name
+ */
+PermissionSet.prototype.has = function(name) {
+   return this._byName.hasOwnProperty(name);
+};
+
+/**
+ * @param {String[]} names
+ * @returns {boolean} true if the set has all of these permissions (or
+ *    names is empty)
+ */
+PermissionSet.prototype.hasAll = function(names) {
+   for (var i = 0; i < names.length; ++i) {
+      if (!this.has(names[i])) {
+         return false;
+      }
+   }
+   return true;
+};
+
+/**
+ * @param {String[]} names
+ * @returns {boolean} true if the set has at least one of these permissions
+ */
+PermissionSet.prototype.hasAny = function(names) {
+   for (var i = 0; i < names.length; ++i) {
+      if (this.has(names[i])) {
+         return true;
+      }
+   }
+   return false;
+};
+
+/**
+ * @param {String} name
+ * @returns {Permission} the permission with this name, or undefined
+ */
+PermissionSet.prototype.get = function(name) {
+   return this.has(name) ? this._byName[name] : undefined;
+};
+
+/**
+ * @param {Number} id
+ * @returns {Permission} the permission with this ID, or undefined
+ */
+PermissionSet.prototype.getById = function(id) {
+   return this._byId.hasOwnProperty(id) ? this._byId[id] : undefined;
+};
+
+/**
+ * @returns {String[]} the names of the permissions, in the order the
+ *    target listed them
+ */
+PermissionSet.prototype.names = function() {
+   return this._permissions.map(function(p) {
+      return p.name;
+   });
+};
+
+/**
+ * @returns {Permission[]} the permissions, in the order the target listed
+ *    them
+ */
+PermissionSet.prototype.toArray = function() {
+   return this._permissions.slice();
+};
+
+/**
+ * @returns {Permission[]} the permissions built in to the target
+ */
+PermissionSet.prototype.builtin = function() {
+   return this._permissions.filter(function(p) {
+      return !!p.builtin;
+   });
+};
+
+/**
+ * @returns {Permission[]} the permissions that were added on the target
+ */
+PermissionSet.prototype.custom = function() {
+   return this._permissions.filter(function(p) {
+      return !p.builtin;
+   });
+};
+
+/**
+ * Compare this set with an older one, e.g. to show what changed when
+ * logging in again.
+ *
+ * @param {PermissionSet} [previous] - The set to compare against; none
+ *    counts as empty.
+ * @returns {Object} added (in this set but not the previous one) and
+ *    removed (in the previous set but not this one), as Permission arrays
+ */
+PermissionSet.prototype.diff = function(previous) {
+   var self = this;
+   var old = previous || new PermissionSet([]);
+
+   return {
+      added: this._permissions.filter(function(p) {
+         return !old.has(p.name);
+      }),
+      removed: old._permissions.filter(function(p) {
+         return !self.has(p.name);
+      })
+   };
+};
+
+/**
+ * @param {PermissionSet} [other]
+ * @returns {boolean} true if both sets have the same permission names
+ */
+PermissionSet.prototype.equals = function(other) {
+   if (!other || other.size !== this.size) {
+      return false;
+   }
+   return other.hasAll(this.names());
+};
+
+module.exports = PermissionSet;
@@ -0,0 +1,185 @@
+/**
+ * @file NIAuth primes and generators
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var BigInteger = require('jsbn').BigInteger;
+var Utils = require('./Utils.js');
+
+var byteLength = function(n) {
+   return Math.ceil(n.bitLength() / 8);
+};
+
+/*
+ * These are the NIAuth 1024-bit primes and generators. We store them
+ * as source as base64, but we need to transform them into a hex
+ * string in order to turn them into BigIntegers.
+ */
+var primes = [
+   {n:'ieJUvpnjDnS8CjQLseVMV6+bLPH2bNQLFVj1nVgSrCdErkLGUGhosubcgk6I7XoqM417RFquVMZvqgXMwggvoJyvy003qXK1bukOLlW1cRW6KLCzRBljPsMG6WeNbKqAatVX1MDHtc/d35B4q2ZJ/UXDzFCE2H/MbbJH7yylr2c=', g:'Cw==' },
+   {n:'1XFmKuymyyba31KcEoWXHJco2eqggRxU9/ojMPPAkMaMRGw9WxIgEpfZGsxBOlY/ZciBaFWhbZd6gYK3AEYYEiW1N+noFDjBQyonPk3ZguElv9DgB8bv/bw9+U9o8DK1ScjJkrejEvoP2r9Bn6nANPd52l05digkV68v26fzb0c=', g:'EQ==' },
+   {n:'iJWQ/xNLgaQM8A3XgQ4jmr4yOw4EQ8pcjQ2pJENouY9KfM5kjOGJdiOLnVYZqzDM6bk7wIVCBoO883dnWo4iXVvjsP1EPZ8fs9D2/u1bXtfcq7+ZWgvWGAmaiv9k2SAU8tq4W4ftseMg+CD1qtpGXylIxjWiR4GteZdgbFAS8Mc=', g:'BQ==' },
+   {n:'5axg064+LI3qRPuYNbgpjlEqoFLpA6VMdJfHs4kJGo74Cl2o4E5JXwkceD26WxT6PzwhHZeqpDbJOgFHZ32OqLibrkDrLnL2pw3GDmoQ6lIPOLgUJjCmkrN35S+dXsFxMzXOLsZwz8JwojmjF+DwnRKCv+Uf49V378xvX7pg4hc=', g:'BQ==' },
+   {n:'oOFpUEn0CdvWkCF3heD/etjalOiuis53GgbgIaNbh6JTKiFgs5qN1PuKXBIGhtQ9tmxj+JiZAUMzV5AylidbB1YN/l1DMq/7YZoD1nySkDwF0YS3aJMt+Q4S5PzHuoDazCI//ZzCL8nDG565Aunbgx+kQgr37dsYSdDY8rdOOVc=', g:'BQ==' },
+].map(function(prime, index) {
+   var n = new BigInteger(Utils.b64tohex(prime.n), 16);
+   return {
+      id: String(index),
+      n: n,
+      g: new BigInteger(Utils.b64tohex(prime.g), 16),
+      length: byteLength(n)
+   };
+});
+
+/*
+ * The SRP groups from RFC 5054, Appendix A, as hex. The 3072- and 4096-bit
+ * primes are the RFC 3526 MODP primes, with generators that are primitive
+ * roots. These are selected as "rfc5054-<bits>".
+ */
+var rfc5054 = {
+   1024: {
+      n: [
+         'EEAF0AB9ADB38DD69C33F80AFA8FC5E86072618775FF3C0B9EA2314C9C256576',
+         'D674DF7496EA81D3383B4813D692C6E0E0D5D8E250B98BE48E495C1D6089DAD1',
+         '5DC7D7B46154D6B6CE8EF4AD69B15D4982559B297BCF1885C529F566660E57EC',
+         '68EDBC3C05726CC02FD4CBF4976EAA9AFD5138FE8376435B9FC61D2FC0EB06E3'
+      ].join(''),
+      g: '2'
+   },
+   1536: {
+      n: [
+         '9DEF3CAFB939277AB1F12A8617A47BBBDBA51DF499AC4C80BEEEA9614B19CC4D',
+         '5F4F5F556E27CBDE51C6A94BE4607A291558903BA0D0F84380B655BB9A22E8DC',
+         'DF028A7CEC67F0D08134B1C8B97989149B609E0BE3BAB63D47548381DBC5B1FC',
+         '764E3F4B53DD9DA1158BFD3E2B9C8CF56EDF019539349627DB2FD53D24B7C486',
+         '65772E437D6C7F8CE442734AF7CCB7AE837C264AE3A9BEB87F8A2FE9B8B5292E',
+         '5A021FFF5E91479E8CE7A28C2442C6F315180F93499A234DCF76E3FED135F9BB'
+      ].join(''),
+      g: '2'
+   },
+   2048: {
+      n: [
+         'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050',
+         'A37329CBB4A099ED8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50',
+         'E8083969EDB767B0CF6095179A163AB3661A05FBD5FAAAE82918A9962F0B93B8',
+         '55F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA71D281E446B14773B',
+         'CA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748',
+         '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6',
+         'AF874E7303CE53299CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB6',
+         '94B5C803D89F7AE435DE236D525F54759B65E372FCD68EF20FA7111F9E4AFF73'
+      ].join(''),
+      g: '2'
+   },
+   3072: {
+      n: [
+         'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74',
+         '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437',
+         '4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED',
+         'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05',
+         '98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB',
+         '9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B',
+         'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718',
+         '3995497CEA956AE515D2261898FA051015728E5A8AAAC42DAD33170D04507A33',
+         'A85521ABDF1CBA64ECFB850458DBEF0A8AEA71575D060C7DB3970F85A6E1E4C7',
+         'ABF5AE8CDB0933D71E8C94E04A25619DCEE3D2261AD2EE6BF12FFA06D98A0864',
+         'D87602733EC86A64521F2B18177B200CBBE117577A615D6C770988C0BAD946E2',
+         '08E24FA074E5AB3143DB5BFCE0FD108E4B82D120A93AD2CAFFFFFFFFFFFFFFFF'
+      ].join(''),
+      g: '5'
+   },
+   4096: {
+      n: [
+         'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74',
+         '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437',
+         '4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED',
+         'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05',
+         '98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB',
+         '9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B',
+         'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718',
+         '3995497CEA956AE515D2261898FA051015728E5A8AAAC42DAD33170D04507A33',
+         'A85521ABDF1CBA64ECFB850458DBEF0A8AEA71575D060C7DB3970F85A6E1E4C7',
+         'ABF5AE8CDB0933D71E8C94E04A25619DCEE3D2261AD2EE6BF12FFA06D98A0864',
+         'D87602733EC86A64521F2B18177B200CBBE117577A615D6C770988C0BAD946E2',
+         '08E24FA074E5AB3143DB5BFCE0FD108E4B82D120A92108011A723C12A787E6D7',
+         '88719A10BDBA5B2699C327186AF4E23C1A946834B6150BDA2583E9CA2AD44CE8',
+         'DBBBC2DB04DE8EF92E8EFC141FBECAA6287C59474E6BC05D99B2964FA090C3A2',
+         '233BA186515BE7ED1F612970CEE2D7AFB81BDD762170481CD0069127D5B05AA9',
+         '93B4EA988D8FDDC186FFB7DC90A6C08F4DF435C934063199FFFFFFFFFFFFFFFF'
+      ].join(''),
+      g: '5'
+   }
+};
+
+/**
+ * All of the groups, by the ID that goes in the "N" parameter of the
+ * X-NI-AUTH-PARAMS header: the index for the NIAuth primes, or
+ * "rfc5054-<bits>" for the RFC 5054 groups.
+ */
+var groups = {};
+
+primes.forEach(function(prime) {
+   groups[prime.id] = prime;
+});
+
+Object.keys(rfc5054).forEach(function(bits) {
+   var n = new BigInteger(rfc5054[bits].n, 16);
+   groups['rfc5054-' + bits] = {
+      id: 'rfc5054-' + bits,
+      n: n,
+      g: new BigInteger(rfc5054[bits].g, 16),
+      length: byteLength(n)
+   };
+});
+
+/**
+ * Look up a group by ID.
+ *
+ * @param {String|Number} id - An NIAuth prime index or RFC 5054 group name
+ * @returns {Object} id, n, g and length (of N, in bytes), or undefined
+ */
+var getGroup = function(id) {
+   var key = String(id);
+   return groups.hasOwnProperty(key) ? groups[key] : undefined;
+};
+
+/**
+ * Find the index of a modulus in the table of primes. This index is what
+ * goes in the "N" parameter of the X-NI-AUTH-PARAMS header.
+ *
+ * @param {BigInteger} modulus
+ * @returns {Number} the index, or -1 if it isn't one of ours
+ */
+var indexOf = function(modulus) {
+   for (var i = 0; i < primes.length; ++i) {
+      if (primes[i].n.equals(modulus)) {
+         return i;
+      }
+   }
+   return -1;
+};
+
+/**
+ * Find the group with a given modulus.
+ *
+ * @param {BigInteger} modulus
+ * @returns {Object} The group, or undefined if it isn't a known one
+ */
+var findGroup = function(modulus) {
+   var ids = Object.keys(groups);
+   for (var i = 0; i < ids.length; ++i) {
+      if (groups[ids[i]].n.equals(modulus)) {
+         return groups[ids[i]];
+      }
+   }
+   return undefined;
+};
+
+module.exports = {
+   primes: primes,
+   groups: groups,
+   getGroup: getGroup,
+   indexOf: indexOf,
+   findGroup: findGroup,
+};
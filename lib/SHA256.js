@@ -0,0 +1,128 @@
+/**
+ * @file SHA-256 hash function
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var K = [
+   0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+   0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+   0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+   0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+   0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+   0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+   0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+   0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/*
+ * Encode a string as UTF-8 bytes.
+ */
+var utf8Bytes = function(str) {
+   var bytes = [];
+   for (var i = 0; i < str.length; ++i) {
+      var code = str.charCodeAt(i);
+      if (code >= 0xd800 && code < 0xdc00 && i + 1 < str.length) {
+         code = 0x10000 + (((code & 0x3ff) << 10) | (str.charCodeAt(++i) & 0x3ff));
+      }
+
+      if (code < 0x80) {
+         bytes.push(code);
+      } else if (code < 0x800) {
+         bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+      } else if (code < 0x10000) {
+         bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      } else {
+         bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f),
+            0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      }
+   }
+   return bytes;
+};
+
+var rotr = function(x, n) {
+   return (x >>> n) | (x << (32 - n));
+};
+
+var toHex = function(word) {
+   return ('0000000' + (word >>> 0).toString(16)).slice(-8);
+};
+
+/**
+ * Compute the SHA-256 hash of a message.
+ *
+ * @param {String|Array} message - A string (hashed as UTF-8) or an array of
+ *    bytes; negative values are treated as their unsigned counterparts.
+ * @returns {String} The hash as a lowercase hex string
+ */
+var SHA256 = function(message) {
+   var bytes = (typeof message === 'string') ? utf8Bytes(message) : message;
+   var length = bytes.length;
+
+   // Message, then 0x80, zero padding, and the 64-bit bit length.
+   var blockCount = ((length + 8) >> 6) + 1;
+   var words = new Array(blockCount * 16);
+   var i;
+   for (i = 0; i < words.length; ++i) {
+      words[i] = 0;
+   }
+   for (i = 0; i < length; ++i) {
+      words[i >> 2] |= (bytes[i] & 0xFF) << (24 - (i & 3) * 8);
+   }
+   words[length >> 2] |= 0x80 << (24 - (length & 3) * 8);
+   words[words.length - 2] = Math.floor(length / 0x20000000);
+   words[words.length - 1] = (length << 3) | 0;
+
+   var h = [
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+   ];
+   var w = new Array(64);
+
+   for (var block = 0; block < words.length; block += 16) {
+      var t;
+      for (t = 0; t < 16; ++t) {
+         w[t] = words[block + t];
+      }
+      for (t = 16; t < 64; ++t) {
+         var s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+         var s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+         w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+      }
+
+      var a = h[0], b = h[1], c = h[2], d = h[3];
+      var e = h[4], f = h[5], g = h[6], hh = h[7];
+
+      for (t = 0; t < 64; ++t) {
+         var S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+         var ch = (e & f) ^ (~e & g);
+         var temp1 = (hh + S1 + ch + K[t] + w[t]) | 0;
+         var S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+         var maj = (a & b) ^ (a & c) ^ (b & c);
+         var temp2 = (S0 + maj) | 0;
+
+         hh = g;
+         g = f;
+         f = e;
+         e = (d + temp1) | 0;
+         d = c;
+         c = b;
+         b = a;
+         a = (temp1 + temp2) | 0;
+      }
+
+      h[0] = (h[0] + a) | 0;
+      h[1] = (h[1] + b) | 0;
+      h[2] = (h[2] + c) | 0;
+      h[3] = (h[3] + d) | 0;
+      h[4] = (h[4] + e) | 0;
+      h[5] = (h[5] + f) | 0;
+      h[6] = (h[6] + g) | 0;
+      h[7] = (h[7] + hh) | 0;
+   }
+
+   return h.map(toHex).join('');
+};
+
+module.exports = SHA256;
@@ -0,0 +1,121 @@
+/**
+ * @file Type definitions for the SRP-6 implementation
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+import { HashName } from '../index';
+
+/** jsbn's BigInteger, as far as we use it. */
+export declare class BigInteger {
+   constructor(value: string, radix?: number);
+   static ZERO: BigInteger;
+   static ONE: BigInteger;
+   toString(radix?: number): string;
+   toByteArray(): number[];
+   bitLength(): number;
+   signum(): number;
+   equals(other: BigInteger): boolean;
+   compareTo(other: BigInteger): number;
+   add(other: BigInteger): BigInteger;
+   subtract(other: BigInteger): BigInteger;
+   multiply(other: BigInteger): BigInteger;
+   mod(m: BigInteger): BigInteger;
+   modPow(e: BigInteger, m: BigInteger): BigInteger;
+}
+
+/** A byte array: numbers from 0 to 255. */
+export type Bytes = number[];
+
+/** A hex string, e.g. a hash or proof. */
+export type HexString = string;
+
+/** The SRP-6 operations for one hash and modulus size. */
+export interface SRPOperations {
+   a(): BigInteger;
+   b(): BigInteger;
+   A(N: BigInteger, g: BigInteger, a: BigInteger): BigInteger;
+   B(N: BigInteger, g: BigInteger, v: BigInteger, b: BigInteger): BigInteger;
+   u(A: BigInteger, B: BigInteger): BigInteger;
+   k(N: BigInteger, g: BigInteger): BigInteger;
+   x(salt: Bytes, username: string, password: string): BigInteger;
+   /** x, hashed with the crypto backend's digestAsync() (WebCrypto in browsers). */
+   xAsync(salt: Bytes, username: string, password: string): Promise<BigInteger>;
+   Sc(N: BigInteger, g: BigInteger, B: BigInteger, k: BigInteger, x: BigInteger,
+      a: BigInteger, u: BigInteger): BigInteger;
+   Ss(N: BigInteger, A: BigInteger, v: BigInteger, u: BigInteger, b: BigInteger): BigInteger;
+   K(S: BigInteger): Bytes;
+   Mc(N: BigInteger, g: BigInteger, username: string, salt: Bytes, A: BigInteger,
+      B: BigInteger, K: Bytes): HexString;
+   Ms(A: BigInteger, M: HexString, K: Bytes): HexString;
+   v(N: BigInteger, g: BigInteger, x: BigInteger): BigInteger;
+}
+
+/** The operations for SHA-1 and a 1024-bit modulus. */
+export declare const SRPOps: SRPOperations;
+
+export declare function getOps(hash?: HashName, length?: number): SRPOperations;
+
+export declare function createVerifier(username: string, password: string,
+   modulus: BigInteger, generator: BigInteger, hash?: HashName): { salt: Bytes; verifier: BigInteger };
+
+/** As createVerifier(), hashing with the crypto backend's digestAsync(). */
+export declare function createVerifierAsync(username: string, password: string,
+   modulus: BigInteger, generator: BigInteger, hash?: HashName): Promise<{ salt: Bytes; verifier: BigInteger }>;
+
+export interface Identity {
+   username: string;
+   password: string;
+}
+
+/** What Client#setServerInfo() needs to know about the server. */
+export interface ServerInfo {
+   modulus: BigInteger;
+   generator: BigInteger;
+   salt: Bytes;
+   serverPublicKey: BigInteger;
+   /** SHA-1 if not given. */
+   hash?: HashName;
+}
+
+export declare class Client {
+   constructor();
+   username: string | undefined;
+   setIdentity(identity: Identity): void;
+   setServerInfo(serverInfo: ServerInfo): void;
+   generatePublicKeyAndProof(): { clientPublicKey: BigInteger; clientProof: HexString };
+   verifyServerProof(serverProof: HexString | undefined): boolean;
+   wipe(): void;
+}
+
+/** A user's entry in the server's database. */
+export interface VerifierEntry {
+   /** Modulus */
+   n: Bytes;
+   /** Generator */
+   g: Bytes;
+   /** Salt */
+   s: Bytes;
+   /** Verifier */
+   v: Bytes;
+   hash?: HashName;
+}
+
+export interface LoginInfo extends ServerInfo {
+   hash: HashName;
+   loginToken: string;
+}
+
+export interface ClientParams {
+   clientPublicKey: BigInteger;
+   clientProof: HexString;
+   loginToken?: string;
+}
+
+export declare class Server {
+   constructor(lookupFunc: (username: string) => VerifierEntry | undefined);
+   username: string | undefined;
+   startLogin(username: string): LoginInfo;
+   getAuthParamsHeader(): string;
+   finishLogin(clientParams: ClientParams): { serverProof: HexString; sessionId: string };
+}
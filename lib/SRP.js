@@ -7,8 +7,11 @@
 
 var JSBN = require('jsbn');
 var BigInteger = JSBN.BigInteger;
-var SecureRandom = JSBN.SecureRandom;
-var SHA1 = require('./SHA1.js');
+var AuthParams = require('./AuthParams.js');
+var Base64 = require('./Base64.js');
+var Crypto = require('./Crypto.js');
+var Errors = require('./Errors.js');
+var Primes = require('./Primes.js');
 var Utils = require('./Utils.js');
 
 var isBigInteger = function(x) {
@@ -32,25 +35,51 @@ var isArray = function(x) {
    return Array.isArray(x);
 };
 
-var rng = new SecureRandom();
+/*
+ * The SRP math goes through whichever crypto backend is selected.
+ */
+var digest = function(algorithm, message) {
+   return Crypto.getBackend().digest(algorithm, message);
+};
+
+var digestAsync = function(algorithm, message) {
+   return Crypto.getBackend().digestAsync(algorithm, message);
+};
+
+var modPow = function(base, exponent, modulus) {
+   return Crypto.getBackend().modPow(base, exponent, modulus);
+};
+
+var rng = {
+   nextBytes: function(bytes) {
+      Crypto.getBackend().randomBytes(bytes);
+   }
+};
 
 /*
- * MGF1 mask generation function with SHA1 hash.
+ * MGF1 mask generation function, producing two hash blocks.
  */
-var MGF1SHA1 = function(byteArray) {
+var MGF1 = function(hash, byteArray) {
    var C1 = byteArray.concat([0,0,0,0]);
    var C2 = byteArray.concat([0,0,0,1]);
-   return SHA1(C1) + SHA1(C2);
+   return digest(hash, C1) + digest(hash, C2);
 };
 
 /**
- * SRP mathematical operations.
+ * SRP mathematical operations for a hash and modulus size.
  *
  * Style note: These functions use a lot of single-character function and
  * variable names. This harkens back to the original Secure Remote Password
  * protocol paper. See http://srp.stanford.edu/ndss.html
+ *
+ * @param {String} hash - 'SHA-1' or 'SHA-256'
+ * @param {Number} length - Byte length of N, which values are padded to
  */
-var SRP = (function() {
+var makeOps = function(hash, length) {
+
+   var SHA = function(message) {
+      return digest(hash, message);
+   };
 
    /**
     * Returns client's random number.
@@ -69,10 +98,10 @@ var SRP = (function() {
     */
    var A = function(N, g, a) {
       if (!areBigIntegers(N, g, a)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      return g.modPow(a, N);
+      return modPow(g, a, N);
    };
 
    /**
@@ -85,10 +114,10 @@ var SRP = (function() {
     */
    var B = function(N, g, v, b) {
       if (!areBigIntegers(N, g, v, b)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      return ((k(N, g).multiply(v)).add(g.modPow(b, N))).mod(N);
+      return ((k(N, g).multiply(v)).add(modPow(g, b, N))).mod(N);
    };
 
    /**
@@ -100,13 +129,13 @@ var SRP = (function() {
     */
    var u = function(A, B) {
       if (!areBigIntegers(A, B)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      var Ab = Utils.bigIntegerToBytes(A, 128);
-      var Bb = Utils.bigIntegerToBytes(B, 128);
+      var Ab = Utils.bigIntegerToBytes(A, length);
+      var Bb = Utils.bigIntegerToBytes(B, length);
       var ABb = Ab.concat(Bb);
-      return new BigInteger(SHA1(ABb), 16);
+      return new BigInteger(SHA(ABb), 16);
    };
 
    /**
@@ -118,13 +147,13 @@ var SRP = (function() {
     */
    var k = function(N, g) {
       if (!areBigIntegers(N, g)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      var Nb = Utils.bigIntegerToBytes(N, 128);
-      var gb = Utils.bigIntegerToBytes(g, 128);
+      var Nb = Utils.bigIntegerToBytes(N, length);
+      var gb = Utils.bigIntegerToBytes(g, length);
       var Ngb = Nb.concat(gb);
-      return new BigInteger(SHA1(Ngb), 16);
+      return new BigInteger(SHA(Ngb), 16);
    };
 
    /**
@@ -137,19 +166,40 @@ var SRP = (function() {
     * returns {BigInteger} SHA(salt + SHA(username + ":" + password))
     */
    var x = function(salt, username, password) {
+      var concat1 = identity(salt, username, password);
+      var concat2 = salt.concat(Utils.hashStringToByteArray(SHA(concat1)));
+      return new BigInteger(SHA(concat2), 16);
+   };
+
+   /**
+    * Calculates "x" as above, with the backend's asynchronous hash
+    * (WebCrypto in browsers).
+    * @returns {Promise} resolves to the BigInteger x
+    */
+   var xAsync = function(salt, username, password) {
+      return new Promise(function(resolve) {
+         resolve(digestAsync(hash, identity(salt, username, password)));
+      }).then(function(inner) {
+         return digestAsync(hash, salt.concat(Utils.hashStringToByteArray(inner)));
+      }).then(function(outer) {
+         return new BigInteger(outer, 16);
+      });
+   };
+
+   /*
+    * The username + ":" + password that x hashes, once the arguments check out.
+    */
+   var identity = function(salt, username, password) {
       var user = username || '';
       var pass = password || '';
 
       if (!isArray(salt)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
       if (!isString(user) || !isString(pass)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
-
-      var concat1 = (user + ':' + pass);
-      var concat2 = salt.concat(Utils.hashStringToByteArray(SHA1(concat1)));
-      return new BigInteger(SHA1(concat2), 16);
+      return user + ':' + pass;
    };
 
    /**
@@ -165,10 +215,11 @@ var SRP = (function() {
     */
    var Sc = function(N, g, B, k, x, a, u) {
       if (!areBigIntegers(N, g, B, k, x, a, u)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      return (B.add(k.multiply(N.subtract(g.modPow(x, N))).mod(N))).modPow(a.add(u.multiply(x)), N);
+      var base = B.add(k.multiply(N.subtract(modPow(g, x, N))).mod(N));
+      return modPow(base, a.add(u.multiply(x)), N);
    };
 
    /**
@@ -181,10 +232,10 @@ var SRP = (function() {
     */
    var Ss = function(N, A, v, u, b) {
       if (!areBigIntegers(N, A, v, b, u)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      return (A.multiply(v.modPow(u, N))).modPow(b, N);
+      return modPow(A.multiply(modPow(v, u, N)), b, N);
    };
 
    /**
@@ -194,11 +245,11 @@ var SRP = (function() {
     */
    var K = function(S) {
       if (!isBigInteger(S)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      var Sb = Utils.bigIntegerToBytes(S, 128);
-      return Utils.hashStringToByteArray(MGF1SHA1(Sb));
+      var Sb = Utils.bigIntegerToBytes(S, length);
+      return Utils.hashStringToByteArray(MGF1(hash, Sb));
    };
 
    /**
@@ -217,26 +268,26 @@ var SRP = (function() {
       var user = username || '';
 
       if (!areBigIntegers(N, g, A, B)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
       if (!isArray(salt) || !isArray(K)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
       if (!isString(user)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      var Nb = Utils.bigIntegerToBytes(N, 128);
+      var Nb = Utils.bigIntegerToBytes(N, length);
       var gb = Utils.bigIntegerToBytes(g, 1);
-      var shaN = SHA1(Nb);
-      var shag = SHA1(gb);
+      var shaN = SHA(Nb);
+      var shag = SHA(gb);
       var ret = Utils.hashStringToByteArray(Utils.xorHashStrings(shaN, shag));
-      var shau = Utils.hashStringToByteArray(SHA1(user));
+      var shau = Utils.hashStringToByteArray(SHA(user));
 
-      var Ab = Utils.bigIntegerToBytes(A, 128);
-      var Bb = Utils.bigIntegerToBytes(B, 128);
+      var Ab = Utils.bigIntegerToBytes(A, length);
+      var Bb = Utils.bigIntegerToBytes(B, length);
 
-      return SHA1(ret.concat(shau, salt, Ab, Bb, K));
+      return SHA(ret.concat(shau, salt, Ab, Bb, K));
    };
 
    /**
@@ -251,15 +302,15 @@ var SRP = (function() {
       var Mary = Utils.hashStringToByteArray(M);
 
       if (!isBigInteger(A)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
       if (!isArray(Mary) || !isArray(K)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      var Ab = Utils.bigIntegerToBytes(A, 128);
+      var Ab = Utils.bigIntegerToBytes(A, length);
 
-      return SHA1(Ab.concat(Mary, K));
+      return SHA(Ab.concat(Mary, K));
    };
 
    /**
@@ -271,10 +322,10 @@ var SRP = (function() {
     */
    var v = function(N, g, x) {
       if (!areBigIntegers(N, g, x)) {
-         throw 'invalid argument';
+         throw new TypeError('invalid argument');
       }
 
-      return g.modPow(x, N);
+      return modPow(g, x, N);
    };
 
    return {
@@ -285,6 +336,7 @@ var SRP = (function() {
       u:u,
       k:k,
       x:x,
+      xAsync:xAsync,
       Sc:Sc,
       Ss:Ss,
       K:K,
@@ -292,7 +344,41 @@ var SRP = (function() {
       Ms:Ms,
       v:v
    };
-})();
+};
+
+var opsCache = {};
+
+/**
+ * Returns the SRP operations for a hash and modulus size.
+ *
+ * @param {String} [hash] - 'SHA-1' (the default) or 'SHA-256'
+ * @param {Number} [length] - Byte length of N, 128 by default
+ * @returns {Object} The operations, as in SRPOps
+ */
+var getOps = function(hash, length) {
+   var h = hash || 'SHA-1';
+   var len = length || 128;
+
+   if (Crypto.hashes.indexOf(h) === -1) {
+      throw new TypeError('Unsupported hash: ' + h);
+   }
+
+   var key = h + '/' + len;
+   if (!opsCache.hasOwnProperty(key)) {
+      opsCache[key] = makeOps(h, len);
+   }
+   return opsCache[key];
+};
+
+/*
+ * The operations for a modulus, padding to its size.
+ */
+var opsFor = function(modulus, hash) {
+   return getOps(hash, Math.ceil(modulus.bitLength() / 8));
+};
+
+// The original NIAuth operations: SHA-1 and 1024-bit primes.
+var SRP = getOps('SHA-1', 128);
 
 /**
  * Create a new SRP client.
@@ -315,134 +401,330 @@ Client.prototype.setIdentity = function(identity) {
  * @param serverInfo.generator {BigInteger}
  * @param serverInfo.salt {Array}
  * @param serverInfo.serverPublicKey {BigInteger}
+ * @param [serverInfo.hash] {String} - 'SHA-1' (the default) or 'SHA-256'
  */
 Client.prototype.setServerInfo = function(serverInfo) {
    if (!serverInfo.hasOwnProperty('modulus')) {
-      throw 'serverInfo needs modulus';
+      throw new TypeError('serverInfo needs modulus');
    }
    if (!serverInfo.hasOwnProperty('generator')) {
-      throw 'serverInfo needs generator';
+      throw new TypeError('serverInfo needs generator');
    }
    if (!serverInfo.hasOwnProperty('salt')) {
-      throw 'serverInfo needs salt';
+      throw new TypeError('serverInfo needs salt');
    }
    if (!serverInfo.hasOwnProperty('serverPublicKey')) {
-      throw 'serverInfo needs serverPublicKey';
+      throw new TypeError('serverInfo needs serverPublicKey');
    }
 
    this.modulus = serverInfo.modulus;
    this.generator = serverInfo.generator;
    this.salt = serverInfo.salt;
    this.serverPublicKey = serverInfo.serverPublicKey;
+   this.hash = serverInfo.hash || 'SHA-1';
+};
+
+/*
+ * Check that a public key is in the range 1 < key < N. Anything else
+ * (0, 1, N, multiples of N...) would let the other side force the shared
+ * key to a known value.
+ */
+var isPublicKeyInRange = function(key, N) {
+   return (key.compareTo(BigInteger.ONE) > 0 && key.compareTo(N) < 0);
 };
 
 /**
  * Compute the client's public key (A) and proof (M)
  * from the server info.
+ *
+ * The password is forgotten afterwards, and the private values a, x and S
+ * are overwritten with zeroes.
  */
 Client.prototype.generatePublicKeyAndProof = function() {
    var N = this.modulus;
    var g = this.generator;
    var s = this.salt;
    var B = this.serverPublicKey;
+   var ops = opsFor(N, this.hash);
+   var a, x, S;
 
-   if (B.mod(N).compareTo(BigInteger.ZERO) === 0) {
-      throw 'precondition fail';
-   }
+   try {
+      if (!isPublicKeyInRange(B, N)) {
+         throw new Errors.ProtocolError('server public key (B) is out of range');
+      }
 
-   var a = SRP.a();
-   var A = SRP.A(N, g, a);
-   var u = SRP.u(A, B);
+      a = ops.a();
+      var A = ops.A(N, g, a);
+      var u = ops.u(A, B);
 
-   if (u.compareTo(BigInteger.ZERO) === 0) {
-      throw 'precondition fail';
-   }
+      if (u.compareTo(BigInteger.ZERO) === 0) {
+         throw new Errors.ProtocolError('scrambling parameter (u) is zero');
+      }
+
+      var k = ops.k(N, g);
+
+      if (k.compareTo(BigInteger.ZERO) === 0) {
+         throw new Errors.ProtocolError('multiplier parameter (k) is zero');
+      }
 
-   var k = SRP.k(N, g);
+      x = ops.x(s, this.username, this.password);
+      S = ops.Sc(N, g, B, k, x, a, u);
+      var K = ops.K(S);
+      var M = ops.Mc(N, g, this.username, s, A, B, K);
+
+      this.clientPublicKey = A;
+      this.clientProof = M;
+      this.sharedKey = K;
+
+      return {
+         clientPublicKey: A,
+         clientProof: M
+      };
+   } finally {
+      Utils.zeroize(a);
+      Utils.zeroize(x);
+      Utils.zeroize(S);
+      this.password = undefined;
+   }
+};
 
-   if (k.compareTo(BigInteger.ZERO) === 0) {
-      throw 'precondition fail';
+/**
+ * Check the server's proof of K against the one we expect.
+ *
+ * This must be called after generatePublicKeyAndProof().
+ *
+ * @param serverProof {hex string} - Server's proof, SHA(A+M+K)
+ * @returns {boolean} true if the server knows K
+ */
+Client.prototype.verifyServerProof = function(serverProof) {
+   if (!isString(serverProof) || !this.sharedKey) {
+      return false;
    }
 
-   var x = SRP.x(s, this.username, this.password);
-   var S = SRP.Sc(N, g, B, k, x, a, u);
-   var K = SRP.K(S);
-   var M = SRP.Mc(N, g, this.username, s, A, B, K);
+   var ops = opsFor(this.modulus, this.hash);
+   var expected = ops.Ms(this.clientPublicKey, this.clientProof, this.sharedKey);
+   return Utils.constantTimeEqualsHex(serverProof, expected);
+};
 
-   this.sharedKey = K;
+/**
+ * Forget the secrets from this handshake: the password, if it's still
+ * around, and the shared key K, which is overwritten with zeroes. Call this
+ * once the server's proof has been checked (or the login has failed).
+ */
+Client.prototype.wipe = function() {
+   Utils.zeroize(this.sharedKey);
+   this.sharedKey = undefined;
+   this.password = undefined;
+};
+
+/**
+ * Create a password verifier for a user, with a fresh random salt.
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {BigInteger} modulus - A large safe prime
+ * @param {BigInteger} generator - A generator modulo N
+ * @param {String} [hash] - 'SHA-1' (the default) or 'SHA-256'
+ * @returns {Object} salt (byte array) and verifier (BigInteger)
+ */
+var createVerifier = function(username, password, modulus, generator, hash) {
+   var ops = opsFor(modulus, hash);
+   var s = new Array(16);
+   rng.nextBytes(s);
+
+   var x = ops.x(s, username, password);
 
    return {
-      clientPublicKey: A,
-      clientProof: M
+      salt: s,
+      verifier: ops.v(modulus, generator, x)
    };
 };
 
+/**
+ * Create a password verifier as createVerifier() does, but hashing with
+ * the crypto backend's digestAsync(): WebCrypto where there is one.
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {BigInteger} modulus - A large safe prime
+ * @param {BigInteger} generator - A generator modulo N
+ * @param {String} [hash] - 'SHA-1' (the default) or 'SHA-256'
+ * @returns {Promise} resolves to the salt (byte array) and verifier
+ *    (BigInteger)
+ */
+var createVerifierAsync = function(username, password, modulus, generator, hash) {
+   var ops = opsFor(modulus, hash);
+   var s = new Array(16);
+   rng.nextBytes(s);
+
+   return ops.xAsync(s, username, password).then(function(x) {
+      return {
+         salt: s,
+         verifier: ops.v(modulus, generator, x)
+      };
+   });
+};
+
+/*
+ * Generate a random token for login and session identifiers.
+ */
+var randomToken = function(byteCount) {
+   var bytes = new Array(byteCount);
+   rng.nextBytes(bytes);
+   return Utils.makeUrlBase64(Base64.encode(bytes));
+};
+
 /**
  * Create a new SRP server.
  *
- * @param lookupFunc - A function returning an object with keys n, g, v, and s.
+ * A Server handles a single login attempt: startLogin() produces the
+ * parameters for the client, and finishLogin() checks the client's proof
+ * and produces the server's own proof. Create a new one for each attempt.
+ *
+ * @param lookupFunc - A function returning an object with keys n, g, v, and s
+ *    (and optionally hash, 'SHA-1' by default) for a user name, or undefined
+ *    if there is no such user.
  */
 var Server = function(lookupFunc) {
    this.lookupFunc = lookupFunc;
 };
 
+/*
+ * Make up an entry for a user who doesn't exist, so that the server's
+ * response doesn't give away which users do. The client won't be able to
+ * produce a valid proof for it.
+ */
+var makeFakeEntry = function() {
+   var prime = Primes.primes[0];
+   var s = new Array(16);
+   rng.nextBytes(s);
+
+   return {
+      n: Utils.bigIntegerToBytes(prime.n, 128),
+      g: prime.g.toByteArray(),
+      s: s,
+      v: Utils.bigIntegerToBytes(SRP.v(prime.n, prime.g, SRP.a()), 128)
+   };
+};
+
 /**
  * Begin a new login session.
+ *
+ * @param {String} username
+ * @returns {Object} modulus, generator, salt, serverPublicKey, hash and
+ *    loginToken
  */
 Server.prototype.startLogin = function(username) {
-   var entry = this.lookupFunc(username);
+   var entry = this.lookupFunc(username) || makeFakeEntry();
 
    var N = new BigInteger(Utils.byteArrayToHashString(entry.n), 16);
    var g = new BigInteger(Utils.byteArrayToHashString(entry.g), 16);
    var v = new BigInteger(Utils.byteArrayToHashString(entry.v), 16);
    var s = entry.s;
-   var b = SRP.b();
-   var B = SRP.B(N, g, v, b);
+   var hash = entry.hash || 'SHA-1';
+   var ops = opsFor(N, hash);
+   var b = ops.b();
+   var B = ops.B(N, g, v, b);
 
+   this.username = username;
    this.modulus = N;
    this.generator = g;
    this.salt = s;
+   this.hash = hash;
    this.serverPrivateKey = b;
    this.serverPublicKey = B;
    this.verifier = v;
+   this.loginToken = randomToken(16);
 
    return {
       modulus: this.modulus,
       generator: this.generator,
       salt: this.salt,
-      serverPublicKey: this.serverPublicKey
+      serverPublicKey: this.serverPublicKey,
+      hash: this.hash,
+      loginToken: this.loginToken
    };
 };
 
+/**
+ * Format the parameters from startLogin() as an X-NI-AUTH-PARAMS header,
+ * e.g. "N=4,s=[base64],B=[base64],ss=[token]". Hashes other than SHA-1
+ * are given as "H=SHA-256", which older clients won't understand.
+ *
+ * @returns {String}
+ */
+Server.prototype.getAuthParamsHeader = function() {
+   var group = Primes.findGroup(this.modulus);
+   if (group === undefined) {
+      throw new TypeError('modulus is not one of the known groups');
+   }
+
+   return AuthParams.serialize({
+      N: group.id,
+      s: Base64.encode(this.salt),
+      B: Utils.bigIntToBase64(this.serverPublicKey, group.length),
+      ss: this.loginToken,
+      H: (this.hash !== 'SHA-1') ? this.hash : undefined
+   });
+};
+
 /**
  * Finish a login session.
+ *
+ * @param clientParams.clientPublicKey {BigInteger} - A
+ * @param clientParams.clientProof {hex string} - M
+ * @param [clientParams.loginToken] {String} - The token from startLogin()
+ * @returns {Object} serverProof (hex string) and sessionId
  */
 Server.prototype.finishLogin = function(clientParams) {
    var N = this.modulus;
+   var g = this.generator;
+   var s = this.salt;
    var B = this.serverPublicKey;
    var b = this.serverPrivateKey;
    var v = this.verifier;
    var A = clientParams.clientPublicKey;
    var Mc = clientParams.clientProof;
+   var ops = opsFor(N, this.hash);
+
+   if (clientParams.loginToken !== undefined &&
+       clientParams.loginToken !== this.loginToken) {
+      throw new Errors.ProtocolError('login token does not match');
+   }
+
+   if (!isPublicKeyInRange(A, N)) {
+      throw new Errors.ProtocolError('client public key (A) is out of range');
+   }
 
-   var u = SRP.u(A, B);
+   var u = ops.u(A, B);
 
    if (u.compareTo(BigInteger.ZERO) === 0) {
-      throw 'precondition fail';
+      throw new Errors.ProtocolError('scrambling parameter (u) is zero');
+   }
+
+   var S = ops.Ss(N, A, v, u, b);
+   var K = ops.K(S);
+
+   var expected = Utils.hashStringToByteArray(ops.Mc(N, g, this.username, s, A, B, K));
+   var actual = isString(Mc) ? Utils.hashStringToByteArray(Mc) : [];
+   if (!Utils.constantTimeEquals(actual, expected)) {
+      throw new Errors.AuthenticationFailedError('client proof does not match');
    }
 
-   var S = SRP.Ss(N, A, v, u, b);
-   var K = SRP.K(S);
-   var M = SRP.Ms(A, Mc, K);
+   var M = ops.Ms(A, Mc, K);
 
    this.sharedKey = K;
+   this.sessionId = randomToken(32);
 
-   return {serverProof: M};
+   return {serverProof: M, sessionId: this.sessionId};
 };
 
 module.exports = {
    SRPOps: SRP,
+   getOps: getOps,
    BigInteger: BigInteger,
+   createVerifier: createVerifier,
+   createVerifierAsync: createVerifierAsync,
    Client: Client,
    Server: Server,
 };
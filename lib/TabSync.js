@@ -0,0 +1,121 @@
+/**
+ * @file messages between browser tabs of the same origin
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var getWindow = function() {
+   return (typeof window !== 'undefined') ? window : undefined;
+};
+
+/**
+ * Open a channel to the other tabs of this origin. Messages go over a
+ * BroadcastChannel where there is one, or else through storage events on
+ * localStorage. Either way, a tab doesn't hear its own messages.
+ *
+ * @param {String} name - Tabs only hear messages sent with the same name
+ * @param {Function} onMessage - Called with each message from another tab
+ * @param {Window} [win] - The window to use; defaults to the global one
+ */
+var TabSync = function(name, onMessage, win) {
+   var self = this;
+
+   this.name = name;
+   this.win = win || getWindow();
+   this.channel = undefined;
+   this.storageListener = undefined;
+
+   if (this.win.BroadcastChannel) {
+      this.channel = new this.win.BroadcastChannel(name);
+      this.channel.onmessage = function(event) {
+         onMessage(event.data);
+      };
+      /* Don't keep Node.js running just for this. */
+      if (this.channel.unref) {
+         this.channel.unref();
+      }
+   } else {
+      this.storageListener = function(event) {
+         if (event.key !== self.name || !event.newValue) {
+            return;
+         }
+         var envelope;
+         try {
+            envelope = JSON.parse(event.newValue);
+         } catch (e) {
+            return;
+         }
+         onMessage(envelope.message);
+      };
+      this.win.addEventListener('storage', this.storageListener);
+   }
+};
+
+/**
+ * Can tabs talk to each other here?
+ *
+ * @param {Window} [win] - The window to check; defaults to the global one
+ * @returns {Boolean}
+ */
+TabSync.isSupported = function(win) {
+   var w = win || getWindow();
+   if (!w) {
+      return false;
+   }
+   if (w.BroadcastChannel) {
+      return true;
+   }
+   try {
+      return !!(w.localStorage && w.addEventListener);
+   } catch (e) {
+      /* Some browsers throw when storage is turned off. */
+      return false;
+   }
+};
+
+/**
+ * Send a message to the other tabs.
+ *
+ * @param {*} message - Anything that survives JSON (or structured cloning)
+ */
+TabSync.prototype.post = function(message) {
+   if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+   }
+   if (!this.storageListener) {
+      return;
+   }
+
+   /*
+    * Other tabs only hear about changes, so the same message twice needs
+    * to look different; and it's only a message, so it doesn't stay.
+    */
+   try {
+      var storage = this.win.localStorage;
+      storage.setItem(this.name, JSON.stringify({
+         message: message,
+         sent: Date.now() + ':' + Math.random()
+      }));
+      storage.removeItem(this.name);
+   } catch (e) {
+      /* Storage is full or turned off; the other tabs will catch up later. */
+   }
+};
+
+/**
+ * Stop sending and hearing messages.
+ */
+TabSync.prototype.close = function() {
+   if (this.channel) {
+      this.channel.close();
+      this.channel = undefined;
+   }
+   if (this.storageListener) {
+      this.win.removeEventListener('storage', this.storageListener);
+      this.storageListener = undefined;
+   }
+};
+
+module.exports = TabSync;
@@ -49,7 +49,7 @@ var bigIntegerToBytes = function(bi, byteCount) {
       var leaders = bytes.slice(0, bytes.length - byteCount);
       for (i = 0; i < leaders.length; ++i) {
          if (leaders[i] !== 0) {
-            throw 'attmpted to truncate to ' + byteCount;
+            throw new RangeError('attempted to truncate to ' + byteCount);
          }
       }
       return bytes.slice(bytes.length - byteCount);
@@ -101,7 +101,7 @@ var bigIntToBase64 = function(ba, len) {
  */
 var xorHashStrings = function(a, b) {
    if (a.length !== b.length) {
-      throw 'strings not same length';
+      throw new RangeError('strings not same length');
    }
 
    var res = '';
@@ -116,6 +116,67 @@ var xorHashStrings = function(a, b) {
    return res;
 };
 
+/**
+ * Compare two byte arrays in constant time; that is, the time it takes
+ * depends only on the length and not on where the arrays differ.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean} true if the arrays hold the same bytes
+ */
+var constantTimeEquals = function(a, b) {
+   if (a.length !== b.length) {
+      return false;
+   }
+
+   var diff = 0;
+   for (var i = 0; i < a.length; ++i) {
+      diff |= ((a[i] ^ b[i]) & 0xFF);
+   }
+   return (diff === 0);
+};
+
+/**
+ * Compare two hex strings (such as SRP proofs) in constant time. Case is
+ * ignored. Strings that aren't hex never match.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @returns {boolean} true if the strings hold the same bytes
+ */
+var constantTimeEqualsHex = function(a, b) {
+   var hex = /^([0-9a-fA-F]{2})*$/;
+   if (typeof a !== 'string' || typeof b !== 'string' || !hex.test(a) || !hex.test(b)) {
+      return false;
+   }
+   return constantTimeEquals(hashStringToByteArray(a), hashStringToByteArray(b));
+};
+
+/**
+ * Overwrite a secret with zeroes: a byte array, or a jsbn BigInteger (which
+ * becomes zero). Anything else is left alone.
+ *
+ * JavaScript strings can't be overwritten; the most we can do for those
+ * is drop our references to them.
+ *
+ * @param {Array|BigInteger} secret
+ */
+var zeroize = function(secret) {
+   var i;
+   if (Array.isArray(secret)) {
+      for (i = 0; i < secret.length; ++i) {
+         secret[i] = 0;
+      }
+   } else if (secret && typeof secret.t === 'number') {
+      // Digits above t may be left over from earlier arithmetic.
+      for (i = 0; i < secret.t || secret[i] !== undefined; ++i) {
+         secret[i] = 0;
+      }
+      secret.t = 0;
+      secret.s = 0;
+   }
+};
+
 /**
  * Turn a regular Base64-encoded string into a URL-Base64-encoded string.
  *
@@ -137,27 +198,6 @@ var makeUrlBase64 = function(regularBase64Str) {
    return newStr;
 };
 
-/*
- * This splits up a parameters string; as an example, the X-NI-AUTH-PARAMS
- * string has the format "N=4,s=[base64],B=[base64],ss=[base64]"
- */
-var splitParamsString = function(str) {
-   var ret = {};
-   var params = str.split(',');
-   for (var i = 0; i < params.length; ++i) {
-      var equals = params[i].indexOf('=');
-      if (equals === -1) {
-         throw 'not a valid params string';
-      }
-
-      var name = params[i].substr(0, equals);
-      var value = params[i].substr(equals+1);
-
-      ret[name] = value;
-   }
-   return ret;
-};
-
 module.exports = {
    b64tohex: b64tohex,
    hexStringToBase64: hexStringToBase64,
@@ -167,6 +207,8 @@ module.exports = {
    bigIntToBase64: bigIntToBase64,
    makeUrlBase64: makeUrlBase64,
    xorHashStrings: xorHashStrings,
+   constantTimeEquals: constantTimeEquals,
+   constantTimeEqualsHex: constantTimeEqualsHex,
+   zeroize: zeroize,
    bigIntegerToBytes: bigIntegerToBytes,
-   splitParamsString: splitParamsString,
 };
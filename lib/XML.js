@@ -0,0 +1,51 @@
+/**
+ * @file XML parsing wrapper
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+'use strict';
+
+var Errors = require('./Errors.js');
+
+/**
+ * Parse a string into an XML document.
+ *
+ * Browsers have DOMParser; under Node.js, we fall back to xmldom. Either
+ * way, something that isn't XML (an empty body, or an HTML error page
+ * that doesn't parse) throws a ProtocolError rather than logging to the
+ * console or handing back a document without a root.
+ *
+ * @param {String} str
+ * @returns {Document}
+ * @throws {ProtocolError} if str isn't an XML document
+ */
+var parse = function(str) {
+   var parser;
+   if (typeof DOMParser !== 'undefined') {
+      parser = new DOMParser();
+   } else {
+      var fail = function() {
+         throw new Errors.ProtocolError('Not an XML document');
+      };
+      parser = new (require('@xmldom/xmldom').DOMParser)({
+         errorHandler: {
+            warning: function() {},
+            error: fail,
+            fatalError: fail,
+         }
+      });
+   }
+
+   var doc = parser.parseFromString(str, 'application/xml');
+
+   /* Browsers report errors with a <parsererror> element instead. */
+   if (!doc || !doc.documentElement ||
+       doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Errors.ProtocolError('Not an XML document');
+   }
+   return doc;
+};
+
+module.exports = {
+   parse: parse,
+};
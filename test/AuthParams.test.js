@@ -0,0 +1,146 @@
+/**
+ * @file X-NI-AUTH-PARAMS parsing tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var AuthParams = require('../lib/AuthParams.js');
+var Errors = require('../lib/Errors.js');
+var Primes = require('../lib/Primes.js');
+
+describe('AuthParams', function() {
+
+   var throwsProtocolError = function(fn, message) {
+      assert.throws(fn, function(err) {
+         return (err instanceof Errors.ProtocolError) && err.message.indexOf(message) !== -1;
+      });
+   };
+
+   describe('#parse', function() {
+      it('should split param strings', function() {
+         var srcString = "N=4,s=K7YIn92KQeT9NfyZx7AYjw==,B=5axg064+LI3qRPuYDbJOgFHZ32OqLibrkDrLnL2pw3GDmoQ6lIPOLgUJjCmkrN35S+dXsFxMzXOLsZwz8JwojmjF+DwnRKCv+Uf49V378xvX7pg4hc=";
+         var params = AuthParams.parse(srcString);
+
+         assert.equal(params.N, "4");
+         assert.equal(params.s, "K7YIn92KQeT9NfyZx7AYjw==");
+         assert.equal(params.B, "5axg064+LI3qRPuYDbJOgFHZ32OqLibrkDrLnL2pw3GDmoQ6lIPOLgUJjCmkrN35S+dXsFxMzXOLsZwz8JwojmjF+DwnRKCv+Uf49V378xvX7pg4hc=");
+      });
+
+      it('should handle whitespace, quotes and commas in values', function() {
+         assert.deepEqual(AuthParams.parse(" N = 1 , ss=\"a, \\\"b\\\"\" ,x=a=b,c"), {
+            N: "1",
+            ss: "a, \"b\"",
+            x: "a=b,c"
+         });
+         assert.deepEqual(AuthParams.parse("a=,b=\"\""), { a: "", b: "" });
+      });
+
+      it('should keep unknown parameters', function() {
+         var params = AuthParams.parse("N=1,future-thing=42,hasOwnProperty=no");
+         assert.equal(params["future-thing"], "42");
+         assert.equal(params.hasOwnProperty, "no");
+      });
+
+      it('should reject malformed strings', function() {
+         throwsProtocolError(function() { AuthParams.parse(""); }, "empty");
+         throwsProtocolError(function() { AuthParams.parse(undefined); }, "empty");
+         throwsProtocolError(function() { AuthParams.parse("garbage"); }, "garbage");
+         throwsProtocolError(function() { AuthParams.parse("=4"); }, "bad parameter name");
+         throwsProtocolError(function() { AuthParams.parse("N=1,N=2"); }, "N given twice");
+         throwsProtocolError(function() { AuthParams.parse("ss=\"abc"); }, "unterminated");
+         throwsProtocolError(function() { AuthParams.parse("ss=\"abc\"def"); }, "after quoted value");
+      });
+   });
+
+   describe('#serialize', function() {
+      it('should round trip', function() {
+         var params = { N: "rfc5054-2048", s: "K7YI/n+=", ss: "a, \"b\" \\c", e: "" };
+         var str = AuthParams.serialize(params);
+
+         assert.equal(str.indexOf("N=rfc5054-2048,s=K7YI/n+=,ss=\""), 0);
+         assert.deepEqual(AuthParams.parse(str), params);
+      });
+
+      it('should leave out undefined values', function() {
+         assert.equal(AuthParams.serialize({ M: "AAAA", H: undefined }), "M=AAAA");
+      });
+
+      it('should refuse bad names', function() {
+         assert.throws(function() {
+            AuthParams.serialize({ "a,b": "c" });
+         }, TypeError);
+      });
+   });
+
+   describe('#decodeBase64', function() {
+      it('should decode regular and URL-safe base64', function() {
+         assert.deepEqual(AuthParams.decodeBase64("+/8=", "s"), [ 0xFB, 0xFF ]);
+         assert.deepEqual(AuthParams.decodeBase64("-_8=", "s"), [ 0xFB, 0xFF ]);
+         assert.deepEqual(AuthParams.decodeBase64("-_8", "s"), [ 0xFB, 0xFF ]);
+         assert.deepEqual(AuthParams.decodeBase64("", "s"), []);
+      });
+
+      it('should reject anything else', function() {
+         [ "AA AA", "AAAA!", "A", "AA=A", "AA=", "AAAAA===" ].forEach(function(value) {
+            throwsProtocolError(function() {
+               AuthParams.decodeBase64(value, "B");
+            }, "parameter B is not valid base64");
+         });
+      });
+   });
+
+   describe('#parseChallenge', function() {
+      it('should decode the SRP parameters', function() {
+         var info = AuthParams.parseChallenge("N=rfc5054-1024,s=AQI=,B=AAE_,ss=token,H=SHA-256,X=1");
+
+         assert.equal(info.srpGroup, "rfc5054-1024");
+         assert.ok(info.modulus.equals(Primes.getGroup("rfc5054-1024").n));
+         assert.ok(info.generator.equals(Primes.getGroup("rfc5054-1024").g));
+         assert.equal(info.hash, "SHA-256");
+         assert.deepEqual(info.salt, [ 1, 2 ]);
+         assert.equal(info.serverPublicKey.toString(16), "13f");
+         assert.equal(info.loginToken, "token");
+         assert.equal(AuthParams.parseChallenge("N=0,s=AQI=,B=AAE_,ss=token").hash, "SHA-1");
+      });
+
+      it('should report what is wrong', function() {
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge(null);
+         }, "missing X-NI-AUTH-PARAMS header");
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge("N=0,s=,B=AAAB");
+         }, "missing s, ss");
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge("N=5,s=AAAA,B=AAAB,ss=token");
+         }, "unknown group: 5");
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge("N=-1,s=AAAA,B=AAAB,ss=token");
+         }, "unknown group: -1");
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge("N=0,s=AAAA,B=AAAB,ss=token,H=MD5");
+         }, "unsupported hash: MD5");
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge("N=0,s=AA*A,B=AAAB,ss=token");
+         }, "parameter s is not valid base64");
+         throwsProtocolError(function() {
+            AuthParams.parseChallenge("N=0,s=AAAA,B=" + new Buffer(129).toString("base64") + ",ss=token");
+         }, "parameter B is longer");
+      });
+   });
+
+   describe('#parseProof', function() {
+      it('should decode the server proof', function() {
+         assert.equal(AuthParams.parseProof("M=3q2-7w=="), "deadbeef");
+         assert.equal(AuthParams.parseProof("X=1"), undefined);
+         assert.equal(AuthParams.parseProof(null), undefined);
+      });
+
+      it('should reject a malformed proof', function() {
+         throwsProtocolError(function() {
+            AuthParams.parseProof("M=de@d");
+         }, "parameter M is not valid base64");
+      });
+   });
+});
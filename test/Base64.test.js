@@ -0,0 +1,55 @@
+/**
+ * @file Base64 tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var Base64 = require('../lib/Base64.js');
+
+describe('Base64', function() {
+
+   var bytes = function(length) {
+      var arr = [];
+      for (var i = 0; i < length; ++i) {
+         arr.push((i * 37 + 11) & 0xFF);
+      }
+      return arr;
+   };
+
+   it('should encode the RFC 4648 test vectors', function() {
+      var vectors = [ "", "Zg==", "Zm8=", "Zm9v", "Zm9vYg==", "Zm9vYmE=", "Zm9vYmFy" ];
+      var input = "foobar";
+
+      vectors.forEach(function(expected, length) {
+         var arr = input.substr(0, length).split("").map(function(c) { return c.charCodeAt(0); });
+         assert.equal(Base64.encode(arr), expected);
+         assert.deepEqual(Base64.decode(expected), arr);
+      });
+   });
+
+   it('should agree with Node', function() {
+      for (var length = 0; length < 70; ++length) {
+         var arr = bytes(length);
+         var expected = Buffer.from(arr).toString("base64");
+
+         assert.equal(Base64.encode(arr), expected);
+         assert.deepEqual(Base64.decode(expected), arr);
+      }
+   });
+
+   it('should encode signed bytes', function() {
+      assert.equal(Base64.encode([ -1, -128, 127 ]), "/4B/");
+   });
+
+   it('should decode URL-safe and unpadded Base64', function() {
+      assert.deepEqual(Base64.decode("-_8"), [ 0xFB, 0xFF ]);
+      assert.deepEqual(Base64.decode("+/8="), [ 0xFB, 0xFF ]);
+   });
+
+   it('should skip what isn\'t Base64', function() {
+      assert.deepEqual(Base64.decode("Zm9v\nYmFy"), [ 0x66, 0x6F, 0x6F, 0x62, 0x61, 0x72 ]);
+      assert.deepEqual(Base64.decode("Zg==Zm9v"), [ 0x66 ]);
+   });
+});
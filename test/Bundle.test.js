@@ -0,0 +1,63 @@
+/**
+ * @file ES module and browser bundle tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var browserify = require('browserify');
+var path = require('path');
+var vm = require('vm');
+var NIAuth = require('../index.js');
+
+describe('Packaging', function() {
+
+   this.timeout(30000);
+
+   describe('ES module', function() {
+      it('should export the same things as the CommonJS module', function() {
+         return import(path.join(__dirname, '..', 'index.mjs')).then(function(esm) {
+            assert.strictEqual(esm.default, NIAuth);
+            Object.keys(NIAuth).forEach(function(name) {
+               assert.strictEqual(esm[name], NIAuth[name], name);
+            });
+            assert.deepEqual(Object.keys(esm).filter(function(name) {
+               return name !== "default";
+            }).sort(), Object.keys(NIAuth).sort());
+         });
+      });
+   });
+
+   describe('UMD bundle', function() {
+
+      var source;
+
+      before(function(done) {
+         browserify(path.join(__dirname, '..', 'index.js'), { standalone: "NIAuth" }).bundle(function(err, buf) {
+            source = buf && buf.toString();
+            done(err);
+         });
+      });
+
+      it('should not need Buffer or Node modules', function() {
+         assert.equal(/\bBuffer\.|new Buffer\b|require\(['"]buffer['"]\)/.test(source), false);
+         // Browsers have DOMParser, so xmldom is left out.
+         assert.equal(source.indexOf("DOMImplementation"), -1);
+      });
+
+      it('should define a global in a bare browser-like context', function() {
+         var context = vm.createContext({});
+         vm.runInContext(source, context);
+
+         var bundled = context.NIAuth;
+         assert.deepEqual(Object.keys(bundled).sort(), Object.keys(NIAuth).sort());
+         assert.equal(typeof bundled.login, "function");
+         assert.equal(bundled.getUserName(), "");
+
+         var info = bundled.AuthParams.parseChallenge("N=rfc5054-1024,s=AQI=,B=AAE_,ss=token,H=SHA-256");
+         assert.equal(info.serverPublicKey.toString(16), "13f");
+         assert.deepEqual(Array.prototype.slice.call(info.salt), [ 1, 2 ]);
+      });
+   });
+});
@@ -0,0 +1,245 @@
+/**
+ * @file command-line tool tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var CLI = require('../lib/CLI.js');
+var MockServer = require('../lib/MockServer.js');
+
+describe('CLI', function() {
+
+   this.timeout(10000);
+
+   var server;
+   var baseUrl;
+   var sessionFile;
+   var questions;
+   var answers;
+
+   /* Output that we can look at afterwards. */
+   var capture = function() {
+      var stream = {
+         text: "",
+         write: function(str) {
+            stream.text += str;
+         }
+      };
+      return stream;
+   };
+
+   /* Run a command; resolves to {code, stdout, stderr}. */
+   var run = function(argv, env) {
+      var stdout = capture();
+      var stderr = capture();
+      return CLI.main(argv, {
+         stdout: stdout,
+         stderr: stderr,
+         env: env || {NIAUTH_TARGET: baseUrl, NIAUTH_SESSION_FILE: sessionFile},
+         fetch: fetch,
+         prompt: function(question, hidden) {
+            questions.push([question, hidden]);
+            return answers.shift();
+         }
+      }).then(function(code) {
+         return {code: code, stdout: stdout.text, stderr: stderr.text};
+      });
+   };
+
+   before(function() {
+      server = new MockServer({
+         groups: {
+            Administrators: { permissions: [ { name: "Admin", builtin: true } ], builtin: true },
+         },
+         users: {
+            admin: { password: "secret", permissions: [ "Deploy" ], groups: [ "Administrators" ] },
+            operator: { password: "", permissions: [ "Operate" ] },
+         }
+      });
+      return server.listen().then(function(url) {
+         baseUrl = url;
+      });
+   });
+
+   after(function() {
+      return server.close();
+   });
+
+   beforeEach(function() {
+      server.expireSessions();
+      sessionFile = path.join(os.tmpdir(), "niauth-cli-test-" + process.pid + ".json");
+      questions = [];
+      answers = [];
+   });
+
+   afterEach(function() {
+      if (fs.existsSync(sessionFile)) {
+         fs.unlinkSync(sessionFile);
+      }
+   });
+
+   it('should parse options', function() {
+      assert.deepEqual(CLI.parseArgs([ "permissions", "--target=10.0.0.2", "operator", "--json" ]), {
+         command: "permissions",
+         args: [ "operator" ],
+         options: { target: "10.0.0.2", json: true }
+      });
+      assert.deepEqual(CLI.parseArgs([ "--session-file", "s.json", "whoami" ]).options, { sessionFile: "s.json" });
+      assert.throws(function() {
+         CLI.parseArgs([ "whoami", "--verbose" ]);
+      }, /unknown option/);
+      assert.throws(function() {
+         CLI.parseArgs([ "whoami", "--target" ]);
+      }, /needs a value/);
+   });
+
+   it('should lay out tables', function() {
+      assert.equal(CLI.formatTable([ "Name", "ID" ], [ [ "Administrator", "1" ], [ "x", "22" ] ]), [
+         "Name           ID",
+         "Administrator  1",
+         "x              22"
+      ].join("\n"));
+   });
+
+   it('should show usage', function() {
+      return run([ "--help" ]).then(function(result) {
+         assert.equal(result.code, 0);
+         assert.ok(/^Usage: niauth/.test(result.stdout));
+         return run([]);
+      }).then(function(result) {
+         assert.equal(result.code, 2);
+         assert.ok(/^Usage: niauth/.test(result.stderr));
+         return run([ "reboot" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 2);
+         assert.ok(/unknown command: reboot/.test(result.stderr));
+         return run([ "whoami" ], {});
+      }).then(function(result) {
+         assert.equal(result.code, 2);
+         assert.ok(/no target/.test(result.stderr));
+      });
+   });
+
+   it('should say so when Node.js has no fetch()', function() {
+      var realFetch = global.fetch;
+      var stderr = capture();
+      delete global.fetch;
+
+      return CLI.main([ "whoami" ], {
+         stdout: capture(),
+         stderr: stderr,
+         env: {NIAUTH_TARGET: baseUrl, NIAUTH_SESSION_FILE: sessionFile}
+      }).then(function(code) {
+         global.fetch = realFetch;
+         assert.equal(code, 1);
+         assert.ok(/needs Node\.js 18 or later/.test(stderr.text), stderr.text);
+         assert.equal(fs.existsSync(sessionFile), false);
+      }, function(err) {
+         global.fetch = realFetch;
+         throw err;
+      });
+   });
+
+   it('should log in with a prompted password, and stay logged in', function() {
+      answers = [ "admin", "secret" ];
+      return run([ "login" ]).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         assert.equal(result.stdout, "Logged in to " + baseUrl + " as admin\n");
+         assert.deepEqual(questions, [ [ "User name: ", false ], [ "Password for admin: ", true ] ]);
+         assert.equal(fs.statSync(sessionFile).mode & 511, 384);
+         return run([ "whoami" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         assert.equal(result.stdout, "admin\n");
+      });
+   });
+
+   it('should keep the session file private even if it was not', function() {
+      fs.writeFileSync(sessionFile, "{}\n", {mode: 420 /* 0644 */});
+      fs.chmodSync(sessionFile, 420);
+      answers = [ "admin", "secret" ];
+
+      return run([ "login" ]).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         assert.equal(fs.statSync(sessionFile).mode & 511, 384);
+         assert.ok(JSON.parse(fs.readFileSync(sessionFile, "utf8"))[baseUrl]._appwebSessionId_);
+         assert.deepEqual(fs.readdirSync(path.dirname(sessionFile)).filter(function(name) {
+            return name.indexOf(path.basename(sessionFile) + ".") === 0;
+         }), []);
+      });
+   });
+
+   it('should take the password from the environment', function() {
+      return run([ "login", "operator", "--target", baseUrl, "--session-file", sessionFile ], {
+         NIAUTH_PASSWORD: ""
+      }).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         assert.deepEqual(questions, []);
+         return run([ "whoami" ]);
+      }).then(function(result) {
+         assert.equal(result.stdout, "operator\n");
+      });
+   });
+
+   it('should fail with the wrong password', function() {
+      answers = [ "wrong" ];
+      return run([ "login", "admin" ]).then(function(result) {
+         assert.equal(result.code, 1);
+         assert.equal(result.stderr, "niauth: Login failed!\n");
+         return run([ "whoami" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 1);
+         assert.ok(/not logged in/.test(result.stderr));
+      });
+   });
+
+   it('should list permissions as a table or JSON', function() {
+      answers = [ "secret" ];
+      return run([ "login", "admin" ]).then(function() {
+         return run([ "permissions" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         assert.ok(/^Permission\s+ID\s+Built in\nAdmin\s+\d+\s+yes\nDeploy\s+\d+\s+no\n$/.test(result.stdout),
+            result.stdout);
+         return run([ "permissions", "operator", "--json" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         var permissions = JSON.parse(result.stdout);
+         assert.equal(permissions.length, 1);
+         assert.equal(permissions[0].name, "Operate");
+         assert.equal(permissions[0].builtin, false);
+         assert.equal(typeof permissions[0].id, "number");
+      });
+   });
+
+   it('should log out', function() {
+      answers = [ "secret" ];
+      return run([ "login", "admin" ]).then(function() {
+         return run([ "logout" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 0, result.stderr);
+         assert.equal(result.stdout, "Logged out of " + baseUrl + "\n");
+         assert.deepEqual(JSON.parse(fs.readFileSync(sessionFile, "utf8")), {});
+         return run([ "permissions" ]);
+      }).then(function(result) {
+         assert.equal(result.code, 1);
+      });
+   });
+
+   it('should run from the command line', function() {
+      var result = childProcess.spawnSync(process.execPath,
+         [ path.join(__dirname, "..", "bin", "niauth.js"), "whoami" ], {
+            env: { PATH: process.env.PATH },
+            encoding: "utf8",
+            timeout: 10000
+         });
+      assert.equal(result.status, 2);
+      assert.ok(/no target/.test(result.stderr));
+   });
+});
@@ -0,0 +1,73 @@
+/**
+ * @file cookie jar tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var CookieJar = require('../lib/CookieJar.js');
+
+var fakeResponse = function(setCookie) {
+   return {
+      headers: {
+         get: function(name) {
+            return (name.toLowerCase() === 'set-cookie') ? setCookie : null;
+         }
+      }
+   };
+};
+
+describe('CookieJar', function() {
+
+   it('should store and replay cookies', function() {
+      var jar = new CookieJar();
+      jar.setCookie("_appwebSessionId_=abcd1234; Path=/; HttpOnly");
+      jar.setCookie("other=value");
+
+      assert.equal(jar.get("_appwebSessionId_"), "abcd1234");
+      assert.equal(jar.getCookieHeader(), "_appwebSessionId_=abcd1234; other=value");
+   });
+
+   it('should copy out its cookies', function() {
+      var jar = new CookieJar();
+      jar.setCookie("_appwebSessionId_=abcd1234; Path=/; HttpOnly");
+
+      var cookies = jar.toJSON();
+      assert.deepEqual(cookies, { _appwebSessionId_: "abcd1234" });
+      cookies.other = "value";
+      assert.equal(jar.get("other"), undefined);
+      assert.equal(JSON.stringify(jar), '{"_appwebSessionId_":"abcd1234"}');
+   });
+
+   it('should remove expired cookies', function() {
+      var jar = new CookieJar();
+      jar.setCookie("_appwebSessionId_=abcd1234; Path=/");
+      jar.setCookie("_appwebSessionId_=; Path=/");
+      assert.equal(jar.get("_appwebSessionId_"), undefined);
+
+      jar.setCookie("_appwebSessionId_=abcd1234; Path=/");
+      jar.setCookie("_appwebSessionId_=abcd1234; Max-Age=0");
+      assert.equal(jar.get("_appwebSessionId_"), undefined);
+
+      jar.setCookie("_appwebSessionId_=abcd1234; Path=/");
+      jar.setCookie("_appwebSessionId_=abcd1234; Expires=Thu, 01 Jan 1970 00:00:00 GMT");
+      assert.equal(jar.get("_appwebSessionId_"), undefined);
+   });
+
+   it('should split folded Set-Cookie headers', function() {
+      var jar = new CookieJar();
+      jar.setCookiesFromResponse(fakeResponse(
+         "_appwebSessionId_=abcd1234; Expires=Wed, 21 Oct 2099 07:28:00 GMT; Path=/, other=value; Path=/"));
+
+      assert.equal(jar.get("_appwebSessionId_"), "abcd1234");
+      assert.equal(jar.get("other"), "value");
+   });
+
+   it('should ignore responses without cookies', function() {
+      var jar = new CookieJar();
+      jar.setCookiesFromResponse(fakeResponse(null));
+      assert.equal(jar.getCookieHeader(), "");
+   });
+
+});
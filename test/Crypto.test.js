@@ -0,0 +1,126 @@
+/**
+ * @file crypto backend tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var BigInteger = require('jsbn').BigInteger;
+var Crypto = require('../lib/Crypto.js');
+var Primes = require('../lib/Primes.js');
+
+describe('Crypto', function() {
+
+   var previous;
+
+   beforeEach(function() {
+      previous = Crypto.getBackend().name;
+   });
+
+   afterEach(function() {
+      Crypto.setBackend(previous);
+   });
+
+   it('should use native BigInt on this platform', function() {
+      assert.deepEqual(Crypto.getAvailableBackends(), ['js', 'native']);
+      assert.equal(previous, 'native');
+   });
+
+   it('should hash with WebCrypto asynchronously where it can', function() {
+      var subtle = crypto.subtle;
+      var digest = subtle.digest;
+      var algorithms = [];
+      subtle.digest = function(algorithm, data) {
+         algorithms.push(algorithm);
+         return digest.call(subtle, algorithm, data);
+      };
+
+      Crypto.setBackend('native');
+      return Crypto.getBackend().digestAsync('SHA-256', 'abc').then(function(hex) {
+         assert.equal(hex, "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+         assert.deepEqual(algorithms, [ 'SHA-256' ]);
+      }).then(function() {
+         delete subtle.digest;
+      }, function(err) {
+         delete subtle.digest;
+         throw err;
+      });
+   });
+
+   it('should refuse unknown backends', function() {
+      assert.throws(function() {
+         Crypto.setBackend('nope');
+      }, TypeError);
+      assert.equal(Crypto.getBackend().name, previous);
+   });
+
+   Crypto.getAvailableBackends().forEach(function(name) {
+      describe('with the ' + name + ' backend', function() {
+
+         var backend;
+
+         beforeEach(function() {
+            Crypto.setBackend(name);
+            backend = Crypto.getBackend();
+         });
+
+         it('should hash strings as UTF-8', function() {
+            assert.equal(backend.digest('SHA-1', 'abc'), "a9993e364706816aba3e25717850c26c9cd0d89d");
+            assert.equal(backend.digest('SHA-256', 'abc'),
+               "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+            assert.equal(backend.digest('SHA-1', 'é'), backend.digest('SHA-1', [0xc3, 0xa9]));
+            assert.equal(backend.digest('SHA-256', 'é'), backend.digest('SHA-256', [0xc3, 0xa9]));
+         });
+
+         it('should hash signed bytes like unsigned ones', function() {
+            assert.equal(backend.digest('SHA-1', [0, -1, 0x80]), backend.digest('SHA-1', [0, 0xff, 0x80]));
+            assert.equal(backend.digest('SHA-256', [0, -1, 0x80]), backend.digest('SHA-256', [0, 0xff, 0x80]));
+         });
+
+         it('should refuse unknown hashes', function() {
+            assert.throws(function() {
+               backend.digest('MD5', 'abc');
+            }, TypeError);
+         });
+
+         it('should hash the same asynchronously', function() {
+            return Promise.all([
+               backend.digestAsync('SHA-1', 'abc'),
+               backend.digestAsync('SHA-256', 'é'),
+               backend.digestAsync('SHA-1', [0, -1, 0x80])
+            ]).then(function(digests) {
+               assert.deepEqual(digests, [
+                  "a9993e364706816aba3e25717850c26c9cd0d89d",
+                  backend.digest('SHA-256', 'é'),
+                  backend.digest('SHA-1', [0, 0xff, 0x80])
+               ]);
+               return backend.digestAsync('MD5', 'abc');
+            }).then(function() {
+               assert.fail("should not have hashed with MD5");
+            }, function(err) {
+               assert.ok(err instanceof TypeError);
+            });
+         });
+
+         it('should compute modular powers', function() {
+            var N = Primes.primes[0].n;
+            var base = new BigInteger('123456789abcdef0123456789abcdef', 16);
+            var exponent = new BigInteger('fedcba9876543210fedcba9876543210', 16);
+
+            assert.equal(backend.modPow(base, exponent, N).toString(16),
+               base.modPow(exponent, N).toString(16));
+            assert.equal(backend.modPow(base, BigInteger.ZERO, N).toString(16), "1");
+            assert.equal(backend.modPow(N.add(BigInteger.ONE), exponent, N).toString(16), "1");
+         });
+
+         it('should fill arrays with random bytes', function() {
+            var bytes = new Array(32);
+            backend.randomBytes(bytes);
+            bytes.forEach(function(b) {
+               assert.ok(b >= 0 && b < 256);
+            });
+         });
+      });
+   });
+});
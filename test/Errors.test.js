@@ -0,0 +1,66 @@
+/**
+ * @file error type tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var NIAuth = require('../index.js');
+var Errors = require('../lib/Errors.js');
+var AuthParams = require('../lib/AuthParams.js');
+var util = require('util');
+
+describe('Errors', function() {
+
+   it('should be exported from the main module', function() {
+      Object.keys(Errors).forEach(function(name) {
+         assert.strictEqual(NIAuth[name], Errors[name]);
+      });
+   });
+
+   it('should inherit from NIAuthError and Error', function() {
+      var err = new Errors.AuthenticationFailedError("Login failed!");
+
+      assert.ok(err instanceof Errors.AuthenticationFailedError);
+      assert.ok(err instanceof Errors.NIAuthError);
+      assert.ok(err instanceof Error);
+      assert.ok(!(err instanceof Errors.ProtocolError));
+      assert.equal(err.name, "AuthenticationFailedError");
+      assert.equal(err.code, "AUTHENTICATION_FAILED");
+      assert.equal(err.message, "Login failed!");
+      assert.ok(err.stack);
+   });
+
+   it('should be real errors with their own names', function() {
+      var err = new Errors.TimeoutError("slow", 30000);
+
+      assert.equal(Errors.TimeoutError.name, "TimeoutError");
+      assert.equal(Errors.NIAuthError.name, "NIAuthError");
+      assert.equal(Object.prototype.toString.call(err), "[object Error]");
+      assert.equal(String(err), "TimeoutError: slow");
+      assert.ok(/^TimeoutError: slow\n/.test(util.inspect(err)), util.inspect(err));
+      assert.ok(/^TimeoutError: slow\n/.test(err.stack));
+   });
+
+   it('should carry extra information', function() {
+      var statusErr = new Errors.UnexpectedStatusError("oops", 500);
+      assert.equal(statusErr.status, 500);
+      assert.equal(statusErr.code, "UNEXPECTED_STATUS");
+
+      var loggedInErr = new Errors.AlreadyLoggedInError("nope", "brandon");
+      assert.equal(loggedInErr.username, "brandon");
+      assert.equal(loggedInErr.code, "ALREADY_LOGGED_IN");
+
+      var timeoutErr = new Errors.TimeoutError("slow", 30000);
+      assert.equal(timeoutErr.timeout, 30000);
+      assert.equal(timeoutErr.code, "TIMEOUT");
+   });
+
+   it('should be thrown for bad params strings', function() {
+      assert.throws(function() {
+         AuthParams.parse("garbage");
+      }, Errors.ProtocolError);
+   });
+
+});
@@ -0,0 +1,44 @@
+/**
+ * @file event emitter tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var EventEmitter = require('../lib/EventEmitter.js');
+
+describe('EventEmitter', function() {
+
+   it('should call listeners with arguments', function() {
+      var emitter = new EventEmitter();
+      var calls = [];
+
+      emitter.on("login", function(username) { calls.push("first " + username); });
+      emitter.on("login", function(username) { calls.push("second " + username); });
+
+      assert.equal(emitter.emit("login", "brandon"), true);
+      assert.deepEqual(calls, [ "first brandon", "second brandon" ]);
+   });
+
+   it('should remove listeners', function() {
+      var emitter = new EventEmitter();
+      var count = 0;
+      var listener = function() { ++count; };
+
+      emitter.on("logout", listener);
+      assert.equal(emitter.listenerCount("logout"), 1);
+      emitter.off("logout", listener);
+      assert.equal(emitter.listenerCount("logout"), 0);
+
+      assert.equal(emitter.emit("logout"), false);
+      assert.equal(count, 0);
+   });
+
+   it('should not mind removing unknown listeners', function() {
+      var emitter = new EventEmitter();
+      emitter.off("nothing", function() {});
+      assert.equal(emitter.listenerCount("nothing"), 0);
+   });
+
+});
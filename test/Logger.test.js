@@ -0,0 +1,144 @@
+/**
+ * @file logger tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var Logger = require('../lib/Logger.js');
+
+describe('Logger', function() {
+
+   var messages;
+
+   var sink = {};
+   [ "error", "warn", "info", "debug" ].forEach(function(level) {
+      sink[level] = function() {
+         messages.push([level].concat(Array.prototype.slice.call(arguments)));
+      };
+   });
+
+   beforeEach(function() {
+      messages = [];
+   });
+
+   it('should log nothing without a logger', function() {
+      var logger = new Logger();
+      logger.error("oops");
+      assert.equal(logger.logger, undefined);
+   });
+
+   it('should log warnings and errors by default', function() {
+      var logger = new Logger({logger: sink});
+
+      logger.error("broken");
+      logger.warn("odd", {status: 500});
+      logger.info("fine");
+      logger.debug("details");
+
+      assert.deepEqual(messages, [
+         [ "error", "niauth: broken" ],
+         [ "warn", "niauth: odd", {status: 500} ]
+      ]);
+   });
+
+   it('should log down to the level it was given', function() {
+      var logger = new Logger({logger: sink, level: "debug"});
+
+      logger.debug("details");
+      logger.setLogger(sink, "error");
+      logger.warn("odd");
+      logger.error("broken");
+
+      assert.deepEqual(messages, [
+         [ "debug", "niauth: details" ],
+         [ "error", "niauth: broken" ]
+      ]);
+      assert.throws(function() {
+         logger.setLogger(sink, "verbose");
+      }, TypeError);
+   });
+
+   it('should fall back to log()', function() {
+      var logger = new Logger({logger: {
+         log: function(message) {
+            messages.push(message);
+         }
+      }, level: "info"});
+
+      logger.info("fine");
+      assert.deepEqual(messages, [ "niauth: fine" ]);
+   });
+
+   it('should redact secrets', function() {
+      assert.deepEqual(Logger.redact({
+         username: "admin",
+         password: "secret",
+         oldPassword: "secret",
+         A: "AAAA",
+         a: "1234",
+         x: "5678",
+         K: "9abc",
+         M: "def0",
+         v: "verifier",
+         headers: { Cookie: "_appwebSessionId_=abcd", "Content-Type": "text/plain" },
+         list: [ { S: "premaster" } ]
+      }), {
+         username: "admin",
+         password: "[redacted]",
+         oldPassword: "[redacted]",
+         A: "AAAA",
+         a: "[redacted]",
+         x: "[redacted]",
+         K: "[redacted]",
+         M: "def0",
+         v: "[redacted]",
+         headers: { Cookie: "[redacted]", "Content-Type": "text/plain" },
+         list: [ { S: "[redacted]" } ]
+      });
+      assert.equal(Logger.redact("text"), "text");
+   });
+
+   it('should redact query strings', function() {
+      assert.equal(Logger.redactQuery("/Login?username=admin"), "/Login?[redacted]");
+      assert.equal(Logger.redactQuery("http://10.0.0.2:8080/Echo?a=1&b=2"), "http://10.0.0.2:8080/Echo?[redacted]");
+      assert.equal(Logger.redactQuery("/Logout"), "/Logout");
+   });
+
+   it('should record a trace only while tracing', function() {
+      var logger = new Logger({logger: sink, level: "debug"});
+
+      logger.trace("before");
+      logger.startTrace();
+      logger.trace("challenge", {N: "0", password: "secret"});
+      var trace = logger.stopTrace();
+      logger.trace("after");
+
+      assert.equal(trace.length, 1);
+      assert.equal(trace[0].step, "challenge");
+      assert.deepEqual(trace[0].details, {N: "0", password: "[redacted]"});
+      assert.ok(!isNaN(Date.parse(trace[0].time)));
+      assert.deepEqual(logger.getTrace(), trace);
+
+      // Every step is logged as debug, traced or not.
+      assert.deepEqual(messages.map(function(message) { return message[1]; }),
+         [ "niauth: before", "niauth: challenge", "niauth: after" ]);
+      assert.deepEqual(messages[1][2], {N: "0", password: "[redacted]"});
+   });
+
+   it('should start each trace afresh, and keep the latest steps', function() {
+      var logger = new Logger({trace: true});
+
+      logger.trace("old");
+      logger.startTrace();
+      for (var i = 0; i < 510; ++i) {
+         logger.trace("step " + i);
+      }
+
+      var trace = logger.getTrace();
+      assert.equal(trace.length, 500);
+      assert.equal(trace[0].step, "step 10");
+      assert.equal(trace[499].step, "step 509");
+   });
+});
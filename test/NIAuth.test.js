@@ -0,0 +1,1586 @@
+/**
+ * @file end-to-end tests against the mock NIAuth server
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var NIAuth = require('../index.js');
+var MockServer = require('../lib/MockServer.js');
+var SRP = require('../lib/SRP.js');
+var net = require('net');
+var BroadcastChannel = require('worker_threads').BroadcastChannel;
+
+describe('NIAuth (end-to-end)', function() {
+
+   this.timeout(10000);
+
+   var server;
+   var baseUrl;
+   var client;
+
+   var newClient = function() {
+      return new NIAuth.NIAuthClient({
+         baseUrl: baseUrl,
+         fetch: fetch,
+         cookieJar: new NIAuth.CookieJar()
+      });
+   };
+
+   before(function() {
+      server = new MockServer({
+         groups: {
+            Administrators: { permissions: [ { name: "Admin", builtin: true } ], builtin: true },
+         },
+         users: {
+            admin: { password: "secret", permissions: [ "Deploy" ], groups: [ "Administrators" ] },
+            operator: { password: "", permissions: [ "Operate" ] },
+         }
+      });
+      server.addService("POST", "/Echo/Whoami", function(req, res, username, body) {
+         res.writeHead(200, {'Content-Type': 'text/plain'});
+         res.end(username + ":" + body + ":" + (req.headers["x-custom"] || ""));
+      });
+      return server.listen().then(function(url) {
+         baseUrl = url;
+      });
+   });
+
+   after(function() {
+      return server.close();
+   });
+
+   beforeEach(function() {
+      server.expireSessions();
+      client = newClient();
+   });
+
+   it('should log in with the right password', function() {
+      return client.login("admin", "secret").then(function(result) {
+         assert.equal(result, "admin");
+         assert.equal(client.getUserName(), "admin");
+         assert.equal(client.hasPermission("Admin"), true);
+         assert.equal(client.hasPermission("Deploy"), true);
+         assert.equal(client.hasPermission("Operate"), false);
+         assert.ok(client.cookieJar.get("_appwebSessionId_"));
+      });
+   });
+
+   [ "a+b", "r&d", "50% off" ].forEach(function(username) {
+      it('should log in as ' + username, function() {
+         server.addUser(username, "secret");
+
+         return client.login(username, "secret").then(function(result) {
+            assert.equal(result, username);
+            assert.equal(client.getUserName(), username);
+         }).then(function() {
+            delete server.users[username];
+         }, function(err) {
+            delete server.users[username];
+            throw err;
+         });
+      });
+   });
+
+   it('should not keep the handshake secrets after logging in', function() {
+      return client.login("admin", "secret").then(function() {
+         assert.equal(client.srpClient.password, undefined);
+         assert.equal(client.srpClient.sharedKey, undefined);
+      });
+   });
+
+   it('should know which permissions are builtin', function() {
+      return client.login("admin", "secret").then(function() {
+         var permissions = client.getPermissions();
+         assert.deepEqual(permissions.names().sort(), [ "Admin", "Deploy" ]);
+         assert.deepEqual(permissions.builtin().map(function(p) { return p.name; }), [ "Admin" ]);
+         assert.deepEqual(permissions.custom().map(function(p) { return p.name; }), [ "Deploy" ]);
+         assert.equal(permissions.get("Deploy").builtin, false);
+         assert.strictEqual(permissions.getById(permissions.get("Deploy").id), permissions.get("Deploy"));
+      });
+   });
+
+   it('should log in with an empty password', function() {
+      return client.login("operator", "").then(function() {
+         assert.equal(client.getUserName(), "operator");
+         assert.equal(client.hasPermission("Operate"), true);
+      });
+   });
+
+   it('should log in with an RFC 5054 group and SHA-256', function() {
+      server.addUser("strong", "hunter2", {srpGroup: "rfc5054-2048", hash: "SHA-256"});
+
+      return client.login("strong", "hunter2").then(function(result) {
+         assert.equal(result, "strong");
+         assert.equal(client.getUserName(), "strong");
+         return newClient().login("strong", "hunter3");
+      }).then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+      }).then(function() {
+         delete server.users.strong;
+      });
+   });
+
+   it('should fail with the wrong password', function() {
+      return client.login("admin", "wrong").then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+         assert.equal(client.getUserName(), "");
+         assert.equal(client.cookieJar.get("_appwebSessionId_"), undefined);
+      });
+   });
+
+   it('should fail for an unknown user', function() {
+      return client.login("nobody", "secret").then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+      });
+   });
+
+   it('should pick up an existing session', function() {
+      return client.login("admin", "secret").then(function() {
+         var other = newClient();
+         other.cookieJar.setCookie("_appwebSessionId_=" + client.cookieJar.get("_appwebSessionId_"));
+         return other.updateFromSession().then(function(loggedIn) {
+            assert.equal(loggedIn, true);
+            assert.equal(other.getUserName(), "admin");
+         });
+      });
+   });
+
+   it('should notice an expired session', function() {
+      return client.login("admin", "secret").then(function() {
+         server.expireSessions();
+         return client.updateFromSession();
+      }).then(function(loggedIn) {
+         assert.equal(loggedIn, false);
+         return client.login("admin", "secret");
+      }).then(function(result) {
+         assert.equal(result, "admin");
+         return client.updateFromSession();
+      }).then(function(loggedIn) {
+         assert.equal(loggedIn, true);
+      });
+   });
+
+   it('should log in again as the same user', function() {
+      return client.login("admin", "secret").then(function() {
+         return client.login("admin", "secret");
+      }).then(function(result) {
+         assert.equal(result, "admin");
+         assert.equal(client.hasPermission("Admin"), true);
+      });
+   });
+
+   it('should refuse to log in over another user', function() {
+      return client.login("admin", "secret").then(function() {
+         return client.login("operator", "");
+      }).then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.AlreadyLoggedInError);
+         assert.equal(err.username, "admin");
+      });
+   });
+
+   it('should switch users when asked', function() {
+      return client.login("admin", "secret").then(function() {
+         return client.login("operator", "", {switchUser: true});
+      }).then(function(result) {
+         assert.equal(result, "operator");
+         assert.equal(client.getUserName(), "operator");
+         assert.equal(client.hasPermission("Admin"), false);
+         assert.equal(client.hasPermission("Operate"), true);
+      });
+   });
+
+   it('should get permissions for a user', function() {
+      return client.login("admin", "secret").then(function() {
+         return client.getAggregateUserPermissions("operator");
+      }).then(function(permissions) {
+         assert.ok(permissions instanceof NIAuth.PermissionSet);
+         assert.deepEqual(permissions.names(), [ "Operate" ]);
+      });
+   });
+
+   it('should log out', function() {
+      return client.login("admin", "secret").then(function() {
+         return client.logout();
+      }).then(function(result) {
+         assert.equal(result, true);
+         assert.equal(client.getUserName(), "");
+         assert.equal(client.hasPermission("Admin"), false);
+         assert.equal(client.cookieJar.get("_appwebSessionId_"), undefined);
+         return client.updateFromSession();
+      }).then(function(loggedIn) {
+         assert.equal(loggedIn, false);
+      });
+   });
+
+   describe('events', function() {
+
+      var events;
+
+      var record = function(name) {
+         return function() {
+            events.push([name].concat(Array.prototype.slice.call(arguments).map(function(arg) {
+               return (arg instanceof NIAuth.PermissionSet) ? arg.names().sort() : arg;
+            })));
+         };
+      };
+
+      beforeEach(function() {
+         events = [];
+         [ "login", "logout", "sessionExpired" ].forEach(function(name) {
+            client.on(name, record(name));
+         });
+         client.on("permissionsChanged", record("permissionsChanged"));
+      });
+
+      afterEach(function() {
+         client.stopSessionMonitor();
+      });
+
+      it('should fire on login and logout', function() {
+         return client.login("admin", "secret").then(function() {
+            return client.logout();
+         }).then(function() {
+            assert.deepEqual(events, [
+               [ "login", "admin" ],
+               [ "permissionsChanged", [ "Admin", "Deploy" ], undefined ],
+               [ "permissionsChanged", undefined, [ "Admin", "Deploy" ] ],
+               [ "logout", "admin" ],
+            ]);
+         });
+      });
+
+      it('should fire when switching users', function() {
+         return client.login("admin", "secret").then(function() {
+            events = [];
+            return client.login("operator", "", {switchUser: true});
+         }).then(function() {
+            assert.deepEqual(events, [
+               [ "permissionsChanged", undefined, [ "Admin", "Deploy" ] ],
+               [ "logout", "admin" ],
+               [ "login", "operator" ],
+               [ "permissionsChanged", [ "Operate" ], undefined ],
+            ]);
+         });
+      });
+
+      it('should show what changed when permissions are refreshed', function() {
+         var diff;
+
+         return client.login("admin", "secret").then(function() {
+            client.on("permissionsChanged", function(newPermissions, oldPermissions) {
+               diff = newPermissions.diff(oldPermissions);
+            });
+            return client.grantPermission("Administrators", "Reboot");
+         }).then(function() {
+            return client.updatePermissionsCache();
+         }).then(function() {
+            assert.deepEqual(diff.added.map(function(p) { return p.name; }), [ "Reboot" ]);
+            assert.deepEqual(diff.removed, []);
+            return client.revokePermission("Administrators", "Reboot");
+         });
+      });
+
+      it('should not fire when nothing changed', function() {
+         return client.login("admin", "secret").then(function() {
+            events = [];
+            return client.updateFromSession();
+         }).then(function() {
+            return client.login("admin", "secret");
+         }).then(function() {
+            assert.deepEqual(events, []);
+         });
+      });
+
+      it('should notice an expired session on demand', function() {
+         return client.login("admin", "secret").then(function() {
+            events = [];
+            server.expireSessions();
+            return client.updateFromSession();
+         }).then(function() {
+            assert.deepEqual(events, [
+               [ "permissionsChanged", undefined, [ "Admin", "Deploy" ] ],
+               [ "sessionExpired", "admin" ],
+            ]);
+            assert.equal(client.getUserName(), "");
+         });
+      });
+
+      it('should notice an expired session periodically', function() {
+         return client.login("admin", "secret").then(function() {
+            return new Promise(function(resolve) {
+               client.on("sessionExpired", resolve);
+               client.startSessionMonitor(10);
+               server.expireSessions();
+            });
+         }).then(function(username) {
+            assert.equal(username, "admin");
+         });
+      });
+
+      it('should report errors from the session monitor', function() {
+         var unreachable = new NIAuth.NIAuthClient({
+            baseUrl: "http://127.0.0.1:1",
+            fetch: fetch
+         });
+
+         return new Promise(function(resolve) {
+            unreachable.on("error", function(err) {
+               unreachable.stopSessionMonitor();
+               resolve(err);
+            });
+            unreachable.startSessionMonitor(10);
+         }).then(function(err) {
+            assert.ok(err instanceof Error);
+         });
+      });
+
+   });
+
+   describe('session cache', function() {
+
+      var storage;
+
+      var MemoryStorage = function() {
+         this.items = {};
+      };
+      MemoryStorage.prototype.getItem = function(key) {
+         return this.items.hasOwnProperty(key) ? this.items[key] : null;
+      };
+      MemoryStorage.prototype.setItem = function(key, value) {
+         this.items[key] = String(value);
+      };
+      MemoryStorage.prototype.removeItem = function(key) {
+         delete this.items[key];
+      };
+
+      /* A client for the same target after the page reloads. */
+      var reload = function(sessionId, options) {
+         var jar = new NIAuth.CookieJar();
+         jar.setCookie("_appwebSessionId_=" + sessionId);
+         return new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: jar,
+            storage: (options && options.storage !== undefined) ? options.storage : storage
+         });
+      };
+
+      var nextPermissions = function(target) {
+         return new Promise(function(resolve) {
+            target.on("permissionsChanged", resolve);
+         });
+      };
+
+      beforeEach(function() {
+         storage = new MemoryStorage();
+         client = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            storage: storage
+         });
+      });
+
+      it('should restore the user and permissions after a reload', function() {
+         return client.login("admin", "secret").then(function() {
+            var reloaded = reload(client.cookieJar.get("_appwebSessionId_"));
+            var result = reloaded.updateFromSession();
+
+            assert.equal(reloaded.getUserName(), "admin");
+            assert.equal(reloaded.hasPermission("Deploy"), true);
+            assert.equal(reloaded.getPermissions().get("Admin").builtin, true);
+            return result.then(function(loggedIn) {
+               assert.equal(loggedIn, true);
+               assert.equal(reloaded.getUserName(), "admin");
+            });
+         });
+      });
+
+      it('should refresh restored permissions in the background', function() {
+         var reloaded;
+
+         return client.login("admin", "secret").then(function() {
+            return client.grantPermission("Administrators", "Reboot");
+         }).then(function() {
+            reloaded = reload(client.cookieJar.get("_appwebSessionId_"));
+            var changes = [];
+            reloaded.on("permissionsChanged", function(permissions) {
+               changes.push(permissions.has("Reboot"));
+            });
+            reloaded.updateFromSession();
+            assert.equal(reloaded.hasPermission("Reboot"), false);
+            return new Promise(function(resolve) {
+               reloaded.on("permissionsChanged", resolve);
+            }).then(function() {
+               return nextPermissions(reloaded);
+            }).then(function() {
+               // First the restored permissions, once confirmed; then the fresh ones.
+               assert.deepEqual(changes, [ false, true ]);
+            });
+         }).then(function() {
+            return client.revokePermission("Administrators", "Reboot");
+         }, function(err) {
+            return client.revokePermission("Administrators", "Reboot").then(function() {
+               throw err;
+            });
+         });
+      });
+
+      /* Record what a reloaded client tells its listeners and other tabs. */
+      var watch = function(target) {
+         var heard = [];
+         [ "login", "logout", "sessionExpired", "permissionsChanged" ].forEach(function(event) {
+            target.on(event, function() {
+               heard.push(event);
+            });
+         });
+         target.tabSync = {
+            post: function(message) {
+               heard.push("tab:" + message.username);
+            }
+         };
+         return heard;
+      };
+
+      it('should announce a restored user only once the target confirms it', function() {
+         return client.login("admin", "secret").then(function() {
+            var reloaded = reload(client.cookieJar.get("_appwebSessionId_"));
+            var heard = watch(reloaded);
+            var result = reloaded.updateFromSession();
+
+            assert.equal(reloaded.getUserName(), "admin");
+            return Promise.resolve().then(function() {
+               assert.deepEqual(heard, []);
+               return result;
+            }).then(function(loggedIn) {
+               assert.equal(loggedIn, true);
+               assert.deepEqual(heard, [ "login", "permissionsChanged", "tab:admin" ]);
+            });
+         });
+      });
+
+      it('should quietly drop a restored user the target doesn\'t confirm', function() {
+         var reloaded;
+         var heard;
+
+         return client.login("admin", "secret").then(function() {
+            server.expireSessions();
+            reloaded = reload(client.cookieJar.get("_appwebSessionId_"));
+            heard = watch(reloaded);
+            var result = reloaded.updateFromSession();
+            assert.equal(reloaded.getUserName(), "admin");
+            return result;
+         }).then(function(loggedIn) {
+            assert.equal(loggedIn, false);
+            assert.equal(reloaded.getUserName(), "");
+            assert.equal(reloaded.getPermissions().size, 0);
+            assert.deepEqual(heard, []);
+            assert.deepEqual(storage.items, {});
+         });
+      });
+
+      it('should drop a restored user when the target can\'t be asked', function() {
+         var reloaded;
+         var heard;
+
+         return client.login("admin", "secret").then(function() {
+            reloaded = reload(client.cookieJar.get("_appwebSessionId_"));
+            reloaded.fetchImpl = function() {
+               return Promise.reject(new TypeError("fetch failed"));
+            };
+            heard = watch(reloaded);
+            return reloaded.updateFromSession();
+         }).then(function() {
+            assert.fail("should not have checked the session");
+         }, function(err) {
+            assert.equal(err.message, "fetch failed");
+            assert.equal(reloaded.getUserName(), "");
+            assert.deepEqual(heard, []);
+            // It's still there to try again.
+            assert.equal(Object.keys(storage.items).length, 1);
+         });
+      });
+
+      it('should not restore a different session', function() {
+         return client.login("admin", "secret").then(function() {
+            var reloaded = reload("stale");
+            var result = reloaded.updateFromSession();
+
+            assert.equal(reloaded.getUserName(), "");
+            return result;
+         }).then(function(loggedIn) {
+            assert.equal(loggedIn, false);
+         });
+      });
+
+      it('should forget the user on logout', function() {
+         return client.login("admin", "secret").then(function() {
+            assert.equal(Object.keys(storage.items).length, 1);
+            return client.logout();
+         }).then(function() {
+            assert.deepEqual(storage.items, {});
+         });
+      });
+
+      it('should get permissions when it finds a session', function() {
+         return client.login("admin", "secret").then(function() {
+            var other = reload(client.cookieJar.get("_appwebSessionId_"), {storage: null});
+            var changed = nextPermissions(other);
+            return other.updateFromSession().then(function(loggedIn) {
+               assert.equal(loggedIn, true);
+               return changed;
+            });
+         }).then(function(permissions) {
+            assert.deepEqual(permissions.names().sort(), [ "Admin", "Deploy" ]);
+         });
+      });
+
+      it('should carry on when storage fails', function() {
+         storage.setItem = function() {
+            throw new Error("QuotaExceededError");
+         };
+         return client.login("admin", "secret").then(function(result) {
+            assert.equal(result, "admin");
+         });
+      });
+   });
+
+   describe('other tabs', function() {
+
+      var jar;
+      var tabs;
+      var requests;
+
+      /* A client in another tab: it shares the browser's cookies. */
+      var newTab = function(options) {
+         var tab = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: function(url, init) {
+               requests.push(init.method + " " + url.slice(baseUrl.length));
+               return fetch(url, init);
+            },
+            cookieJar: jar,
+            storage: null,
+            syncTabs: !(options && options.syncTabs === false)
+         });
+         tabs.push(tab);
+         return tab;
+      };
+
+      var wait = function(ms) {
+         return new Promise(function(resolve) {
+            setTimeout(resolve, ms);
+         });
+      };
+
+      var next = function(tab, event) {
+         return new Promise(function(resolve) {
+            var listener = function() {
+               tab.off(event, listener);
+               resolve(Array.prototype.slice.call(arguments));
+            };
+            tab.on(event, listener);
+         });
+      };
+
+      before(function() {
+         window.BroadcastChannel = BroadcastChannel;
+      });
+
+      after(function() {
+         delete window.BroadcastChannel;
+      });
+
+      beforeEach(function() {
+         jar = new NIAuth.CookieJar();
+         tabs = [];
+         requests = [];
+      });
+
+      afterEach(function() {
+         tabs.forEach(function(tab) {
+            tab.stopTabSync();
+         });
+      });
+
+      it('should only sync where tabs share the session', function() {
+         assert.equal(client.tabSync, undefined);
+         var tab = new NIAuth.NIAuthClient({baseUrl: baseUrl});
+         tabs.push(tab);
+         assert.notEqual(tab.tabSync, undefined);
+         assert.equal(newTab({syncTabs: false}).tabSync, undefined);
+      });
+
+      it('should follow a login in another tab', function() {
+         var first = newTab();
+         var second = newTab();
+         var logins = [];
+
+         var changed = next(second, "permissionsChanged");
+
+         second.on("login", function(username) {
+            logins.push(username);
+         });
+         return first.login("admin", "secret").then(function() {
+            return changed;
+         }).then(function() {
+            assert.deepEqual(logins, [ "admin" ]);
+            assert.equal(second.getUserName(), "admin");
+            assert.deepEqual(second.getPermissions().names().sort(), [ "Admin", "Deploy" ]);
+            return wait(50);
+         }).then(function() {
+            // ...and then checked the session with the target.
+            assert.equal(requests[requests.length - 1], "GET /Login");
+            assert.deepEqual(logins, [ "admin" ]);
+            assert.equal(second.getUserName(), "admin");
+         });
+      });
+
+      it('should follow a logout in another tab', function() {
+         var first = newTab();
+         var second = newTab();
+         var login = next(second, "login");
+
+         return first.login("admin", "secret").then(function() {
+            return login;
+         }).then(function() {
+            var logout = next(second, "logout");
+            first.logout();
+            return logout;
+         }).then(function(args) {
+            assert.deepEqual(args, [ "admin" ]);
+            assert.equal(second.getUserName(), "");
+            assert.equal(second.hasPermission("Admin"), false);
+            assert.equal(first.getUserName(), "");
+         });
+      });
+
+      it('should follow permission changes in another tab', function() {
+         var first = newTab();
+         var second = newTab();
+         var login = next(second, "login");
+
+         return first.login("admin", "secret").then(function() {
+            return login;
+         }).then(function() {
+            return first.grantPermission("Administrators", "Reboot");
+         }).then(function() {
+            var changed = next(second, "permissionsChanged");
+            first.updatePermissionsCache();
+            return changed;
+         }).then(function(args) {
+            assert.deepEqual(args[0].diff(args[1]).added.map(function(p) { return p.name; }), [ "Reboot" ]);
+            assert.equal(second.hasPermission("Reboot"), true);
+            return first.revokePermission("Administrators", "Reboot");
+         });
+      });
+
+      it('should stop following when told to', function() {
+         var first = newTab();
+         var second = newTab();
+         var heard = false;
+
+         second.stopTabSync();
+         second.on("login", function() {
+            heard = true;
+         });
+         return first.login("admin", "secret").then(function() {
+            return wait(50);
+         }).then(function() {
+            assert.equal(heard, false);
+            assert.equal(second.getUserName(), "");
+         });
+      });
+   });
+
+   describe('#authFetch', function() {
+
+      var callService = function(target) {
+         return target.authFetch("/Echo/Whoami", {
+            method: "POST",
+            headers: { "X-Custom": "hello" },
+            body: "ping"
+         });
+      };
+
+      it('should use the session', function() {
+         return client.login("admin", "secret").then(function() {
+            return callService(client);
+         }).then(function(response) {
+            assert.equal(response.status, 200);
+            return response.text();
+         }).then(function(text) {
+            assert.equal(text, "admin:ping:hello");
+         });
+      });
+
+      it('should read the body after the timeout has passed', function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            timeout: 300
+         });
+
+         return target.login("admin", "secret").then(function() {
+            return callService(target);
+         }).then(function(response) {
+            return new Promise(function(resolve) {
+               setTimeout(resolve, 500);
+            }).then(function() {
+               return response.text();
+            });
+         }).then(function(text) {
+            assert.equal(text, "admin:ping:hello");
+         });
+      });
+
+      it('should log in again with remembered credentials', function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            rememberCredentials: true
+         });
+
+         return target.login("admin", "secret").then(function() {
+            server.expireSessions();
+            return callService(target);
+         }).then(function(response) {
+            assert.equal(response.status, 200);
+            assert.equal(target.getUserName(), "admin");
+            return response.text();
+         }).then(function(text) {
+            assert.equal(text, "admin:ping:hello");
+         });
+      });
+
+      it('should remember a changed password', function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            rememberCredentials: true
+         });
+         server.addUser("newbie", "hunter2");
+
+         return target.login("newbie", "hunter2").then(function() {
+            return target.changePassword("hunter2", "correct horse");
+         }).then(function() {
+            assert.deepEqual(target.rememberedCredentials, {username: "newbie", password: "correct horse"});
+            server.expireSessions();
+            return callService(target);
+         }).then(function(response) {
+            assert.equal(response.status, 200);
+            return response.text();
+         }).then(function(text) {
+            assert.equal(text, "newbie:ping:hello");
+         }).then(function() {
+            delete server.users.newbie;
+         }, function(err) {
+            delete server.users.newbie;
+            throw err;
+         });
+      });
+
+      it('should log in with credentials from a callback', function() {
+         var asked = 0;
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            getCredentials: function() {
+               ++asked;
+               return Promise.resolve({username: "operator", password: ""});
+            }
+         });
+
+         return callService(target).then(function(response) {
+            assert.equal(asked, 1);
+            assert.equal(target.getUserName(), "operator");
+            return response.text();
+         }).then(function(text) {
+            assert.equal(text, "operator:ping:hello");
+         });
+      });
+
+      it('should hand back the challenge without credentials', function() {
+         return callService(client).then(function(response) {
+            assert.equal(response.status, 403);
+            assert.ok(response.headers.get("X-NI-AUTH-PARAMS"));
+         });
+      });
+
+      it('should only retry once', function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            getCredentials: function() {
+               // Log in fine, but lose the session again right away.
+               return {username: "operator", password: ""};
+            }
+         });
+         target.on("login", function() {
+            server.expireSessions();
+         });
+
+         return callService(target).then(function(response) {
+            assert.equal(response.status, 403);
+         });
+      });
+
+      it('should forget remembered credentials on logout', function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            rememberCredentials: true
+         });
+
+         return target.login("admin", "secret").then(function() {
+            assert.deepEqual(target.rememberedCredentials, {username: "admin", password: "secret"});
+            return target.logout();
+         }).then(function() {
+            assert.equal(target.rememberedCredentials, undefined);
+            return callService(target);
+         }).then(function(response) {
+            assert.equal(response.status, 403);
+         });
+      });
+
+   });
+
+   describe('user administration', function() {
+
+      beforeEach(function() {
+         return client.login("admin", "secret");
+      });
+
+      afterEach(function() {
+         delete server.users.newbie;
+         delete server.groups.Operators;
+      });
+
+      it('should list users', function() {
+         return client.getUsers().then(function(users) {
+            assert.deepEqual(users.map(function(user) { return user.name; }), [ "admin", "operator" ]);
+            assert.ok(users[0] instanceof NIAuth.NIAuthClient.User);
+            assert.deepEqual(users[0].groups, [ "Administrators" ]);
+            assert.deepEqual(users[1].groups, []);
+         });
+      });
+
+      it('should list groups and their permissions', function() {
+         return client.getGroups().then(function(groups) {
+            assert.equal(groups.length, 1);
+            assert.equal(groups[0].name, "Administrators");
+            assert.ok(groups[0].id > 0);
+            assert.equal(groups[0].permissions.size, 1);
+            assert.ok(groups[0].permissions.get("Admin") instanceof NIAuth.NIAuthClient.Permission);
+            assert.equal(groups[0].builtin, true);
+            assert.equal(groups[0].permissions.get("Admin").builtin, true);
+         });
+      });
+
+      it('should create a user who can then log in', function() {
+         return client.addUser("newbie", "hunter2").then(function(result) {
+            assert.equal(result, true);
+            return newClient().login("newbie", "hunter2");
+         }).then(function(result) {
+            assert.equal(result, "newbie");
+         });
+      });
+
+      it('should not create a user twice', function() {
+         return client.addUser("admin", "whatever").then(function() {
+            assert.fail("should not have added user");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.UnexpectedStatusError);
+            assert.equal(err.status, 409);
+         });
+      });
+
+      it('should delete a user', function() {
+         return client.addUser("newbie", "hunter2").then(function() {
+            return client.removeUser("newbie");
+         }).then(function() {
+            return client.getUsers();
+         }).then(function(users) {
+            assert.deepEqual(users.map(function(user) { return user.name; }), [ "admin", "operator" ]);
+         });
+      });
+
+      it('should set a user\'s password', function() {
+         return client.addUser("newbie", "hunter2").then(function() {
+            return client.setUserPassword("newbie", "correct horse", {srpGroup: 3});
+         }).then(function() {
+            return newClient().login("newbie", "hunter2").then(function() {
+               assert.fail("old password should not work");
+            }, function(err) {
+               assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+            });
+         }).then(function() {
+            return newClient().login("newbie", "correct horse");
+         });
+      });
+
+      it('should change group membership and permissions', function() {
+         server.addGroup("Operators");
+
+         return client.grantPermission("Operators", "Monitor").then(function() {
+            return client.addUserToGroup("operator", "Operators");
+         }).then(function() {
+            return client.getAggregateUserPermissions("operator");
+         }).then(function(permissions) {
+            assert.deepEqual(permissions.names().sort(), [ "Monitor", "Operate" ]);
+            return client.revokePermission("Operators", "Monitor");
+         }).then(function() {
+            return client.getAggregateUserPermissions("operator");
+         }).then(function(permissions) {
+            assert.deepEqual(permissions.names(), [ "Operate" ]);
+            return client.removeUserFromGroup("operator", "Operators");
+         }).then(function() {
+            assert.deepEqual(server.users.operator.groups, []);
+         });
+      });
+
+      it('should change the logged-in user\'s password', function() {
+         return client.addUser("newbie", "hunter2").then(function() {
+            var newbie = newClient();
+            return newbie.login("newbie", "hunter2").then(function() {
+               return newbie.changePassword("hunter2", "correct horse");
+            });
+         }).then(function(result) {
+            assert.equal(result, true);
+            return newClient().login("newbie", "hunter2").then(function() {
+               assert.fail("old password should not work");
+            }, function(err) {
+               assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+            });
+         }).then(function() {
+            return newClient().login("newbie", "correct horse");
+         });
+      });
+
+      it('should keep the prime that the password used', function() {
+         var newbie = newClient();
+         server.addUser("newbie", "hunter2", {srpGroup: 3});
+         var oldEntry = server.users.newbie.entry;
+
+         return newbie.login("newbie", "hunter2").then(function() {
+            return newbie.changePassword("hunter2", "hunter2");
+         }).then(function() {
+            var newEntry = server.users.newbie.entry;
+            assert.deepEqual(newEntry.n, oldEntry.n);
+            assert.notDeepEqual(newEntry.s, oldEntry.s);
+            assert.notDeepEqual(newEntry.v, oldEntry.v);
+         });
+      });
+
+      it('should set a password with an RFC 5054 group and SHA-256', function() {
+         return client.addUser("newbie", "hunter2", {srpGroup: "rfc5054-3072", hash: "SHA-256"}).then(function() {
+            assert.equal(server.users.newbie.entry.hash, "SHA-256");
+            assert.equal(server.users.newbie.entry.n.length, 384);
+            return newClient().login("newbie", "hunter2");
+         });
+      });
+
+      it('should keep the group and hash that the password used', function() {
+         var newbie = newClient();
+         server.addUser("newbie", "hunter2", {srpGroup: "rfc5054-2048", hash: "SHA-256"});
+         var oldEntry = server.users.newbie.entry;
+
+         return newbie.login("newbie", "hunter2").then(function() {
+            return newbie.changePassword("hunter2", "correct horse");
+         }).then(function() {
+            var newEntry = server.users.newbie.entry;
+            assert.deepEqual(newEntry.n, oldEntry.n);
+            assert.equal(newEntry.hash, "SHA-256");
+            return newClient().login("newbie", "correct horse");
+         });
+      });
+
+      it('should not change the password without the old one', function() {
+         var oldEntry = server.users.admin.entry;
+         return client.changePassword("wrong", "pwned").then(function() {
+            assert.fail("should not have changed password");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+            assert.strictEqual(server.users.admin.entry, oldEntry);
+         });
+      });
+
+      it('should wipe the handshake secrets when the proof is garbled', function() {
+         var wipe = SRP.Client.prototype.wipe;
+         var wiped = [];
+         SRP.Client.prototype.wipe = function() {
+            wipe.call(this);
+            wiped.push(this);
+         };
+
+         // The same password again, so that admin's doesn't change.
+         return withProofHeader(client, "M=!!!").changePassword("secret", "secret").then(function() {
+            assert.fail("should not have changed password");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.ProtocolError);
+            assert.equal(wiped.length, 1);
+            assert.equal(wiped[0].password, undefined);
+         }).then(function() {
+            SRP.Client.prototype.wipe = wipe;
+         }, function(err) {
+            SRP.Client.prototype.wipe = wipe;
+            throw err;
+         });
+      });
+
+      it('should not change the password when logged out', function() {
+         return newClient().changePassword("secret", "pwned").then(function() {
+            assert.fail("should not have changed password");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.NIAuthError);
+         });
+      });
+
+      it('should require a session', function() {
+         return newClient().getUsers().then(function() {
+            assert.fail("should not have listed users");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.UnexpectedStatusError);
+            assert.equal(err.status, 403);
+         });
+      });
+
+   });
+
+   describe('concurrent calls', function() {
+
+      var requests;
+
+      beforeEach(function() {
+         requests = [];
+         client.fetchImpl = function(url, init) {
+            requests.push(init.method + " " + url.slice(baseUrl.length));
+            return fetch(url, init);
+         };
+      });
+
+      var handshakes = function() {
+         return requests.filter(function(request) {
+            return request === "POST /Login";
+         }).length;
+      };
+
+      it('should share one login between identical calls', function() {
+         var first = client.login("admin", "secret");
+         var second = client.login("admin", "secret");
+
+         assert.strictEqual(second, first);
+         return Promise.all([first, second]).then(function(results) {
+            assert.deepEqual(results, [ "admin", "admin" ]);
+            assert.equal(handshakes(), 1);
+            assert.equal(client.getUserName(), "admin");
+         });
+      });
+
+      it('should not share a login with one queued after a logout', function() {
+         var first = client.login("admin", "secret");
+         var logout = client.logout();
+         var second = client.login("admin", "secret");
+
+         assert.notStrictEqual(second, first);
+         return Promise.all([first, logout, second]).then(function(results) {
+            assert.deepEqual(results, [ "admin", true, "admin" ]);
+            assert.equal(handshakes(), 2);
+            assert.equal(client.getUserName(), "admin");
+            return client.updateFromSession();
+         }).then(function(loggedIn) {
+            assert.equal(loggedIn, true);
+         });
+      });
+
+      it('should check the session again after a logout', function() {
+         var first;
+         var second;
+
+         return client.login("admin", "secret").then(function() {
+            first = client.updateFromSession();
+            var logout = client.logout();
+            second = client.updateFromSession();
+
+            assert.notStrictEqual(second, first);
+            return Promise.all([first, logout, second]);
+         }).then(function(results) {
+            assert.deepEqual(results, [ true, true, false ]);
+            assert.equal(client.getUserName(), "");
+         });
+      });
+
+      it('should not share logins with different passwords', function() {
+         var right = client.login("admin", "secret");
+         var wrong = client.login("admin", "wrong");
+
+         assert.notStrictEqual(wrong, right);
+         return Promise.all([right, wrong.then(function() {
+            return "logged in";
+         }, function(err) {
+            return err;
+         })]).then(function(results) {
+            assert.equal(results[0], "admin");
+            // The second login found the first one's session, but not its password.
+            assert.ok(results[1] instanceof NIAuth.AuthenticationFailedError);
+            assert.equal(handshakes(), 1);
+            assert.equal(client.getUserName(), "admin");
+            assert.equal(client.handshakeCredentials, undefined);
+         });
+      });
+
+      it('should finish one login before starting the next', function() {
+         var admin = client.login("admin", "secret");
+         var operator = client.login("operator", "", {switchUser: true});
+
+         return Promise.all([admin, operator]).then(function(results) {
+            assert.deepEqual(results, [ "admin", "operator" ]);
+            assert.equal(handshakes(), 2);
+            assert.equal(client.getUserName(), "operator");
+            assert.deepEqual(client.getPermissions().names(), [ "Operate" ]);
+            assert.equal(requests.indexOf("GET /Logout") > requests.indexOf("POST /Login"), true);
+         });
+      });
+
+      it('should refuse a second user who doesn\'t ask to switch', function() {
+         var admin = client.login("admin", "secret");
+         var operator = client.login("operator", "");
+
+         return admin.then(function() {
+            return operator;
+         }).then(function() {
+            assert.fail("should not have logged in");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.AlreadyLoggedInError);
+            assert.equal(client.getUserName(), "admin");
+            assert.equal(client.hasPermission("Admin"), true);
+         });
+      });
+
+      it('should log out after a login that was called first', function() {
+         var login = client.login("admin", "secret");
+         var logout = client.logout();
+         var session = client.updateFromSession();
+
+         return Promise.all([login, logout, session]).then(function(results) {
+            assert.deepEqual(results, [ "admin", true, false ]);
+            assert.equal(client.getUserName(), "");
+            assert.equal(client.getPermissions().size, 0);
+         });
+      });
+
+      it('should check the session after a login that was called first', function() {
+         var login = client.login("admin", "secret");
+         var first = client.updateFromSession();
+         var second = client.updateFromSession();
+
+         assert.strictEqual(second, first);
+         return Promise.all([login, first]).then(function(results) {
+            assert.deepEqual(results, [ "admin", true ]);
+            assert.equal(client.getUserName(), "admin");
+            assert.equal(requests.filter(function(request) {
+               return request === "GET /Login";
+            }).length, 1);
+         });
+      });
+
+      it('should not share calls that can be cancelled', function() {
+         var controller = new AbortController();
+         var first = client.login("admin", "secret", {signal: controller.signal});
+         var second = client.login("admin", "secret");
+
+         assert.notStrictEqual(second, first);
+         return Promise.all([first, second]).then(function(results) {
+            assert.deepEqual(results, [ "admin", "admin" ]);
+            assert.equal(handshakes(), 1);
+         });
+      });
+   });
+
+   describe('top-level functions', function() {
+
+      var realFetch = global.fetch;
+
+      /*
+       * What a browser would do for the default client on a page served by
+       * the target: send its requests there, with the page's cookies.
+       */
+      var browserFetch = function(url, init) {
+         var headers = Object.assign({}, init.headers);
+         if (document.cookie) {
+            headers.Cookie = document.cookie;
+         }
+         return realFetch(baseUrl + url, Object.assign({}, init, {headers: headers})).then(function(response) {
+            response.headers.getSetCookie().forEach(function(cookie) {
+               document.cookie = cookie.replace(/;\s*HttpOnly/i, "");
+            });
+            return response;
+         });
+      };
+
+      before(function() {
+         global.fetch = browserFetch;
+      });
+
+      after(function() {
+         global.fetch = realFetch;
+         document.cookie = "_appwebSessionId_=; Expires=Thu, 01 Jan 1970 00:00:00 GMT";
+      });
+
+      afterEach(function() {
+         return NIAuth.logout();
+      });
+
+      it('should log in, check the session and log out', function() {
+         return NIAuth.updateFromSession().then(function(loggedIn) {
+            assert.equal(loggedIn, false);
+            return NIAuth.login("admin", "secret");
+         }).then(function(username) {
+            assert.equal(username, "admin");
+            assert.equal(NIAuth.getUserName(), "admin");
+            assert.equal(NIAuth.hasPermission("Admin"), true);
+            assert.equal(NIAuth.hasPermission("Operate"), false);
+            assert.ok(/_appwebSessionId_=\w/.test(document.cookie));
+            return NIAuth.updateFromSession();
+         }).then(function(loggedIn) {
+            assert.equal(loggedIn, true);
+            return NIAuth.getAggregateUserPermissions("operator");
+         }).then(function(permissions) {
+            assert.deepEqual(permissions.names(), [ "Operate" ]);
+            return NIAuth.logout();
+         }).then(function(result) {
+            assert.equal(result, true);
+            assert.equal(NIAuth.getUserName(), "");
+            assert.equal(NIAuth.hasPermission("Admin"), false);
+            assert.equal(document.cookie.indexOf("_appwebSessionId_"), -1);
+         });
+      });
+
+      it('should leave password changes and user administration to NIAuthClient', function() {
+         [ "changePassword", "getUsers", "getGroups", "addUser", "removeUser", "setUserPassword", "addUserToGroup",
+           "removeUserFromGroup", "grantPermission", "revokePermission" ].forEach(function(name) {
+            assert.equal(NIAuth[name], undefined, name);
+            assert.equal(typeof NIAuth.NIAuthClient.prototype[name], "function", name);
+         });
+      });
+
+      it('should not log in with the wrong password', function() {
+         return NIAuth.login("admin", "wrong").then(function() {
+            assert.fail("should not have logged in");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.AuthenticationFailedError);
+            assert.equal(NIAuth.getUserName(), "");
+            assert.equal(NIAuth.hasPermission("Admin"), false);
+         });
+      });
+
+      it('should notice an expired session', function() {
+         var expired = [];
+         var listener = function(username) {
+            expired.push(username);
+         };
+         NIAuth.on("sessionExpired", listener);
+
+         return NIAuth.login("operator", "").then(function() {
+            server.expireSessions();
+            return NIAuth.updateFromSession();
+         }).then(function(loggedIn) {
+            NIAuth.off("sessionExpired", listener);
+            assert.equal(loggedIn, false);
+            assert.deepEqual(expired, [ "operator" ]);
+            assert.equal(NIAuth.getUserName(), "");
+            assert.equal(NIAuth.hasPermission("Operate"), false);
+         });
+      });
+
+      it('should refuse a second user who doesn\'t ask to switch', function() {
+         return NIAuth.login("admin", "secret").then(function() {
+            return NIAuth.login("operator", "");
+         }).then(function() {
+            assert.fail("should not have logged in");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.AlreadyLoggedInError);
+            assert.equal(NIAuth.getUserName(), "admin");
+            return NIAuth.login("operator", "", {switchUser: true});
+         }).then(function(username) {
+            assert.equal(username, "operator");
+            assert.equal(NIAuth.hasPermission("Operate"), true);
+         });
+      });
+   });
+
+   describe('tracing', function() {
+
+      var steps = function(trace) {
+         return trace.map(function(entry) {
+            return entry.step;
+         });
+      };
+
+      it('should record each step of a login', function() {
+         client.startTrace();
+         return client.login("admin", "secret").then(function() {
+            var trace = client.stopTrace();
+            assert.deepEqual(steps(trace), [
+               "login",
+               "request", "response",
+               "challenge", "client proof",
+               "request", "response",
+               "server proof",
+               "logged in"
+            ]);
+            assert.equal(trace[2].details.status, 403);
+            assert.ok(/^N=0,/.test(trace[2].details.authParams), trace[2].details.authParams);
+            assert.deepEqual(trace[3].details, {srpGroup: "0", bits: 1024, hash: "SHA-1"});
+            assert.deepEqual(Object.keys(trace[4].details), [ "A", "M", "ss" ]);
+            assert.deepEqual(trace[7].details, {status: 200, verified: true});
+            assert.deepEqual(trace[8].details.permissions.sort(), [ "Admin", "Deploy" ]);
+         });
+      });
+
+      it('should not record secrets', function() {
+         client.startTrace();
+         return client.login("admin", "secret").then(function() {
+            var json = JSON.stringify(client.getTrace());
+            assert.equal(json.indexOf("secret"), -1);
+            assert.equal(json.indexOf(client.cookieJar.get("_appwebSessionId_")), -1);
+         });
+      });
+
+      it('should not record query strings', function() {
+         var messages = [];
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            trace: true,
+            logger: {
+               log: function(message, details) {
+                  messages.push(message + " " + JSON.stringify(details));
+               }
+            },
+            logLevel: "debug"
+         });
+
+         return target.login("admin", "secret").then(function() {
+            return target.getAggregateUserPermissions("operator");
+         }).then(function() {
+            var paths = target.getTrace().filter(function(entry) {
+               return entry.step === "request";
+            }).map(function(entry) {
+               return entry.details.path;
+            });
+            assert.deepEqual(paths, [ "/Login?[redacted]", "/Login", "/LVWSAuthSvc/GetAggregateUserPermissions?[redacted]" ]);
+            assert.equal(JSON.stringify(target.getTrace()).indexOf("username="), -1);
+            assert.equal(messages.join("\n").indexOf("username="), -1);
+         });
+      });
+
+      it('should show where a login went wrong', function() {
+         var messages = [];
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: baseUrl,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            trace: true,
+            logger: {
+               warn: function(message) {
+                  messages.push(message);
+               }
+            }
+         });
+
+         return target.login("admin", "wrong").then(function() {
+            assert.fail("should not have logged in");
+         }, function() {
+            var trace = target.getTrace();
+            assert.deepEqual(steps(trace).slice(-2), [ "server proof", "login failed" ]);
+            assert.deepEqual(trace[trace.length - 2].details, {status: 403, verified: false});
+            assert.equal(trace[trace.length - 1].details.error, "AuthenticationFailedError: Login failed!");
+            assert.deepEqual(messages, [ "niauth: logging in as admin failed: AuthenticationFailedError: Login failed!" ]);
+         });
+      });
+   });
+
+   /*
+    * A client whose POSTs come back with the given X-NI-AUTH-PARAMS header
+    * instead of the server's.
+    */
+   var withProofHeader = function(target, header) {
+      var realFetch = target.fetchImpl;
+      target.fetchImpl = function(url, init) {
+         return realFetch(url, init).then(function(response) {
+            if (init.method !== 'POST') {
+               return response;
+            }
+            return {
+               status: response.status,
+               headers: {
+                  get: function(name) {
+                     return (name === 'X-NI-AUTH-PARAMS') ? header : response.headers.get(name);
+                  }
+               },
+               text: function() { return response.text(); },
+            };
+         });
+      };
+      return target;
+   };
+
+   [ "", "<html><body><p>Service Unavailable</body></html>" ].forEach(function(body) {
+      it('should reject with a ProtocolError when the login answers with ' +
+            (body ? "HTML" : "an empty body"), function() {
+         var target = newClient();
+         var realFetch = target.fetchImpl;
+         target.fetchImpl = function(url, init) {
+            return realFetch(url, init).then(function(response) {
+               if (init.method !== 'POST') {
+                  return response;
+               }
+               return {
+                  status: response.status,
+                  headers: response.headers,
+                  text: function() { return Promise.resolve(body); },
+               };
+            });
+         };
+
+         return target.login("admin", "secret").then(function() {
+            assert.fail("should not have logged in");
+         }, function(err) {
+            assert.ok(err instanceof NIAuth.ProtocolError, String(err));
+            assert.equal(target.getUserName(), "");
+         });
+      });
+   });
+
+   it('should wipe the handshake secrets when the proof is garbled', function() {
+      var target = withProofHeader(newClient(), "M=!!!");
+
+      return target.login("admin", "secret").then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.ProtocolError);
+         assert.equal(target.getUserName(), "");
+         assert.equal(target.srpClient.password, undefined);
+         assert.equal(target.srpClient.sharedKey, undefined);
+      });
+   });
+
+   it('should wipe the handshake secrets when the challenge is garbled', function() {
+      var target = newClient();
+      var realFetch = target.fetchImpl;
+      target.fetchImpl = function(url, init) {
+         return realFetch(url, init).then(function(response) {
+            return {
+               status: response.status,
+               headers: {
+                  get: function(name) {
+                     return (name === 'X-NI-AUTH-PARAMS') ? "N=0&s=!!!" : response.headers.get(name);
+                  }
+               },
+               text: function() { return response.text(); },
+            };
+         });
+      };
+
+      return target.login("admin", "secret").then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.ProtocolError);
+         assert.equal(target.srpClient.password, undefined);
+      });
+   });
+
+   it('should not trust a server that can\'t prove itself', function() {
+      // Pass along everything except the server's proof.
+      var impostor = withProofHeader(newClient(), null);
+
+      return impostor.login("admin", "secret").then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.ServerAuthenticationFailedError);
+         assert.equal(impostor.getUserName(), "");
+      });
+   });
+
+   it('should time out when the target doesn\'t answer', function() {
+      var sockets = [];
+      var silent = net.createServer(function(socket) {
+         sockets.push(socket);
+      });
+
+      return new Promise(function(resolve) {
+         silent.listen(0, "127.0.0.1", resolve);
+      }).then(function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: "http://127.0.0.1:" + silent.address().port,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            timeout: 100
+         });
+         return target.login("admin", "secret");
+      }).then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.TimeoutError, String(err));
+      }).then(function() {
+         sockets.forEach(function(socket) {
+            socket.destroy();
+         });
+         return new Promise(function(resolve) {
+            silent.close(resolve);
+         });
+      });
+   });
+
+   it('should time out when the target stalls halfway through an answer', function() {
+      var sockets = [];
+      var stalling = net.createServer(function(socket) {
+         sockets.push(socket);
+         socket.once("data", function() {
+            socket.write("HTTP/1.1 200 OK\r\nContent-Type: text/plain\r\nContent-Length: 100\r\n\r\nLogged in");
+         });
+      });
+
+      return new Promise(function(resolve) {
+         stalling.listen(0, "127.0.0.1", resolve);
+      }).then(function() {
+         var target = new NIAuth.NIAuthClient({
+            baseUrl: "http://127.0.0.1:" + stalling.address().port,
+            fetch: fetch,
+            cookieJar: new NIAuth.CookieJar(),
+            timeout: 100
+         });
+         return target.login("admin", "secret");
+      }).then(function() {
+         assert.fail("should not have logged in");
+      }, function(err) {
+         assert.ok(err instanceof NIAuth.TimeoutError, String(err));
+      }).then(function() {
+         sockets.forEach(function(socket) {
+            socket.destroy();
+         });
+         return new Promise(function(resolve) {
+            stalling.close(resolve);
+         });
+      });
+   });
+
+});
@@ -0,0 +1,418 @@
+/**
+ * @file NIAuthClient tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var NIAuth = require('../index.js');
+var CookieJar = require('../lib/CookieJar.js');
+var Errors = require('../lib/Errors.js');
+var NIAuthClient = require('../lib/NIAuthClient.js');
+var PermissionSet = require('../lib/PermissionSet.js');
+
+describe('NIAuthClient', function() {
+
+   var originalFetch = global.fetch;
+   var requests;
+
+   beforeEach(function() {
+      requests = [];
+      global.fetch = function(url, init) {
+         requests.push({url: url, init: init});
+         return Promise.resolve({
+            status: 403,
+            headers: { get: function() { return null; } },
+            text: function() { return Promise.resolve(''); },
+         });
+      };
+   });
+
+   afterEach(function() {
+      global.fetch = originalFetch;
+   });
+
+   it('should be exported from the main module', function() {
+      assert.strictEqual(NIAuth.NIAuthClient, NIAuthClient);
+   });
+
+   it('should prefix requests with the base URL', function() {
+      var client = new NIAuthClient({baseUrl: "http://10.0.0.2:8080/"});
+
+      return client.updateFromSession().then(function(loggedIn) {
+         assert.equal(loggedIn, false);
+         assert.equal(requests.length, 1);
+         assert.equal(requests[0].url, "http://10.0.0.2:8080/Login");
+         assert.equal(requests[0].init.credentials, "include");
+      });
+   });
+
+   it('should use relative URLs without a base URL', function() {
+      var client = new NIAuthClient();
+
+      return client.getAggregateUserPermissions("brandon").catch(function() {
+         // no permissions document, don't care
+      }).then(function() {
+         assert.equal(requests[0].url, "/LVWSAuthSvc/GetAggregateUserPermissions?username=brandon");
+         assert.equal(requests[0].init.credentials, "same-origin");
+      });
+   });
+
+   it('should use an injected fetch and cookie jar', function() {
+      var injectedRequests = [];
+      var jar = new CookieJar();
+      var client = new NIAuthClient({
+         baseUrl: "http://10.0.0.2",
+         cookieJar: jar,
+         fetch: function(url, init) {
+            injectedRequests.push({url: url, init: init});
+            return Promise.resolve({
+               status: 200,
+               headers: {
+                  get: function(name) {
+                     return (name === 'Set-Cookie') ? "_appwebSessionId_=abcd1234; Path=/" : null;
+                  }
+               },
+               text: function() { return Promise.resolve("Logged in as: brandon"); },
+            });
+         }
+      });
+
+      return client.logout().then(function() {
+         // Without a session cookie, there's no need to ask the server.
+         assert.equal(injectedRequests.length, 0);
+
+         jar.setCookie("_appwebSessionId_=abcd1234");
+         return client.updateFromSession();
+      }).then(function(loggedIn) {
+         assert.equal(loggedIn, true);
+         assert.equal(client.getUserName(), "brandon");
+         assert.equal(requests.length, 0);
+         assert.equal(injectedRequests[0].url, "http://10.0.0.2/Login");
+         assert.equal(injectedRequests[0].init.headers['Cookie'], "_appwebSessionId_=abcd1234");
+         // Then it asks for the permissions in the background.
+         assert.equal(injectedRequests.length, 2);
+         assert.equal(injectedRequests[1].url, "http://10.0.0.2/LVWSAuthSvc/GetAggregateUserPermissions?username=brandon");
+      });
+   });
+
+   it('should reject with an UnexpectedStatusError', function() {
+      var client = new NIAuthClient();
+
+      return client.getAggregateUserPermissions("brandon").then(function() {
+         assert.fail("should not have gotten permissions");
+      }, function(err) {
+         assert.ok(err instanceof Errors.UnexpectedStatusError);
+         assert.equal(err.status, 403);
+      });
+   });
+
+   [ "", "<html><body><p>Service Unavailable</body></html>" ].forEach(function(body) {
+      it('should reject with a ProtocolError for ' + (body ? "an HTML" : "an empty") + ' body', function() {
+         var client = new NIAuthClient({
+            fetch: function() {
+               return Promise.resolve({
+                  status: 200,
+                  headers: { get: function() { return null; } },
+                  text: function() { return Promise.resolve(body); },
+               });
+            }
+         });
+
+         return client.getAggregateUserPermissions("brandon").then(function() {
+            assert.fail("should not have gotten permissions");
+         }, function(err) {
+            assert.ok(err instanceof Errors.ProtocolError, String(err));
+         });
+      });
+   });
+
+   describe('#login', function() {
+
+      /*
+       * A target where "alice" is logged in until someone logs out; after
+       * that, the session (conveniently) belongs to "bob".
+       */
+      var makeSwitchingFetch = function(log) {
+         var currentUser = "alice";
+         return function(url) {
+            log.push(url);
+            var status = 200;
+            var text = "";
+            if (url.indexOf("/Login") === 0) {
+               text = "Logged in as: " + currentUser;
+            } else if (url === "/Logout") {
+               currentUser = "bob";
+            } else {
+               text = "<Permissions><Permission><Name>Admin</Name></Permission></Permissions>";
+            }
+            return Promise.resolve({
+               status: status,
+               headers: { get: function() { return null; } },
+               text: function() { return Promise.resolve(text); },
+            });
+         };
+      };
+
+      it('should refuse to log in over another user', function() {
+         var log = [];
+         var client = new NIAuthClient({fetch: makeSwitchingFetch(log), cookieJar: new CookieJar()});
+         client.cookieJar.setCookie("_appwebSessionId_=abcd1234");
+
+         return client.login("bob", "password").then(function() {
+            assert.fail("should not have logged in");
+         }, function(err) {
+            assert.ok(err instanceof Errors.AlreadyLoggedInError);
+            assert.equal(err.username, "alice");
+            assert.deepEqual(log, ["/Login?username=bob"]);
+         });
+      });
+
+      it('should log out the other user with switchUser', function() {
+         var log = [];
+         var client = new NIAuthClient({fetch: makeSwitchingFetch(log), cookieJar: new CookieJar()});
+         client.cookieJar.setCookie("_appwebSessionId_=abcd1234");
+         client.cachedPermissions = new PermissionSet([{name: "Stale"}]);
+
+         return client.login("bob", "password", {switchUser: true}).then(function(result) {
+            assert.equal(result, "bob");
+            assert.equal(client.getUserName(), "bob");
+            assert.equal(client.hasPermission("Stale"), false);
+            assert.equal(client.hasPermission("Admin"), true);
+            assert.deepEqual(log, [
+               "/Login?username=bob",
+               "/Logout",
+               "/Login?username=bob",
+               "/LVWSAuthSvc/GetAggregateUserPermissions?username=bob"
+            ]);
+         });
+      });
+
+      var challengeWith = function(params) {
+         return function() {
+            return Promise.resolve({
+               status: 403,
+               headers: { get: function() { return params; } },
+               text: function() { return Promise.resolve(""); },
+            });
+         };
+      };
+
+      it('should refuse unknown groups and hashes', function() {
+         var bad = [
+            "N=5,s=AAAA,B=AAAB,ss=token",
+            "N=rfc5054-768,s=AAAA,B=AAAB,ss=token",
+            "N=rfc5054-2048,s=AAAA,B=AAAB,ss=token,H=MD5"
+         ];
+
+         return Promise.all(bad.map(function(params) {
+            var client = new NIAuthClient({fetch: challengeWith(params)});
+            return client.login("alice", "password").then(function() {
+               assert.fail("should not have logged in");
+            }, function(err) {
+               assert.ok(err instanceof Errors.ProtocolError, params + ": " + err);
+            });
+         }));
+      });
+
+      it('should refuse missing or malformed parameters', function() {
+         var bad = [
+            null,
+            "N=0,s=AAAA,ss=token",
+            "N=0,s=AAAA,B=AA!B,ss=token",
+            "N=0,N=1,s=AAAA,B=AAAB,ss=token"
+         ];
+
+         return Promise.all(bad.map(function(params) {
+            var client = new NIAuthClient({fetch: challengeWith(params)});
+            return client.login("alice", "password").then(function() {
+               assert.fail("should not have logged in");
+            }, function(err) {
+               assert.ok(err instanceof Errors.ProtocolError, params + ": " + err);
+            });
+         }));
+      });
+
+   });
+
+   describe('timeouts, cancellation and retries', function() {
+
+      var calls;
+
+      /* A fetch() that fails (or hangs) the first few times, then answers. */
+      var flakyFetch = function(failures, response) {
+         calls = [];
+         return function(url, init) {
+            calls.push({url: url, init: init});
+            if (calls.length <= failures) {
+               return Promise.reject(new TypeError("Failed to fetch"));
+            }
+            return Promise.resolve(response);
+         };
+      };
+
+      var hangingFetch = function(url, init) {
+         calls.push({url: url, init: init});
+         return new Promise(function() {});
+      };
+
+      var loggedOut = {
+         status: 403,
+         headers: { get: function() { return null; } },
+         text: function() { return Promise.resolve(""); },
+      };
+
+      beforeEach(function() {
+         calls = [];
+      });
+
+      it('should time out with a TimeoutError', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: hangingFetch, timeout: 20});
+
+         return client.login("admin", "secret").then(function() {
+            assert.fail("should not have logged in");
+         }, function(err) {
+            assert.ok(err instanceof Errors.TimeoutError, String(err));
+            assert.ok(!(err instanceof Errors.AuthenticationFailedError));
+            assert.equal(err.code, "TIMEOUT");
+            assert.equal(err.timeout, 20);
+            assert.equal(calls.length, 1);
+            assert.equal(calls[0].init.signal.aborted, true);
+         });
+      });
+
+      it('should take the timeout per call', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: hangingFetch, timeout: 0});
+
+         return client.getUsers({timeout: 10}).then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.ok(err instanceof Errors.TimeoutError, String(err));
+         });
+      });
+
+      it('should stop when aborted', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: hangingFetch});
+         var controller = new AbortController();
+         var result = client.updateFromSession({signal: controller.signal});
+
+         controller.abort();
+         return result.then(function() {
+            assert.fail("should not have finished");
+         }, function(err) {
+            assert.equal(err.name, "AbortError");
+            assert.equal(calls[0].init.signal.aborted, true);
+            return client.logout({signal: controller.signal});
+         }).then(function() {
+            assert.fail("should not have started");
+         }, function(err) {
+            assert.equal(err.name, "AbortError");
+            assert.equal(calls.length, 1);
+         });
+      });
+
+      it('should retry network errors with backoff', function() {
+         var client = new NIAuthClient({
+            baseUrl: "http://10.0.0.2",
+            fetch: flakyFetch(2, loggedOut),
+            retry: {retries: 2, delay: 1}
+         });
+
+         return client.updateFromSession().then(function(loggedIn) {
+            assert.equal(loggedIn, false);
+            assert.equal(calls.length, 3);
+         });
+      });
+
+      it('should give up after the last retry', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: flakyFetch(5, loggedOut)});
+
+         return client.getUsers({retry: 1}).then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.ok(err instanceof TypeError);
+            assert.equal(calls.length, 2);
+         });
+      });
+
+      it('should not retry by default, or answers from the target', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: flakyFetch(1, loggedOut)});
+
+         return client.updateFromSession().then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.ok(err instanceof TypeError);
+            assert.equal(calls.length, 1);
+
+            client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: flakyFetch(0, loggedOut), retry: 3});
+            return client.getUsers();
+         }).then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.ok(err instanceof Errors.UnexpectedStatusError);
+            assert.equal(err.status, 403);
+            assert.equal(calls.length, 1);
+         });
+      });
+
+      it('should not retry POSTs', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: flakyFetch(1, loggedOut), retry: 3});
+
+         return client.removeUser("operator").then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.ok(err instanceof TypeError);
+            assert.equal(calls.length, 1);
+         });
+      });
+
+      it('should stop retrying when aborted', function() {
+         var controller = new AbortController();
+         var client = new NIAuthClient({
+            baseUrl: "http://10.0.0.2",
+            fetch: flakyFetch(5, loggedOut),
+            retry: {retries: 5, delay: 10000}
+         });
+         var result = client.getGroups({signal: controller.signal});
+
+         setTimeout(function() {
+            controller.abort();
+         }, 10);
+         return result.then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.equal(err.name, "AbortError");
+            assert.equal(calls.length, 1);
+         });
+      });
+
+      it('should pass authFetch options on, but not to fetch()', function() {
+         var client = new NIAuthClient({baseUrl: "http://10.0.0.2", fetch: hangingFetch});
+
+         return client.authFetch("/MyService/DoThing", {timeout: 10, retry: 0, headers: {"X-Custom": "1"}}).then(function() {
+            assert.fail("should not have answered");
+         }, function(err) {
+            assert.ok(err instanceof Errors.TimeoutError, String(err));
+            assert.equal(calls[0].init.timeout, undefined);
+            assert.equal(calls[0].init.retry, undefined);
+            assert.equal(calls[0].init.headers["X-Custom"], "1");
+         });
+      });
+   });
+
+   it('should keep state per instance', function() {
+      var client1 = new NIAuthClient({baseUrl: "http://10.0.0.2"});
+      var client2 = new NIAuthClient({baseUrl: "http://10.0.0.3"});
+
+      client1.loggedInUser = "brandon";
+      client1.cachedPermissions = new PermissionSet([{name: "Admin"}]);
+
+      assert.equal(client1.getUserName(), "brandon");
+      assert.equal(client1.hasPermission("Admin"), true);
+      assert.equal(client2.getUserName(), "");
+      assert.equal(client2.hasPermission("Admin"), false);
+      assert.notStrictEqual(client1.srpClient, client2.srpClient);
+   });
+
+});
@@ -0,0 +1,177 @@
+/**
+ * @file operation queue tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var OperationQueue = require('../lib/OperationQueue.js');
+
+describe('OperationQueue', function() {
+
+   /* An operation that finishes when we say so. */
+   var deferred = function(log, name) {
+      var control = {};
+      control.operation = function() {
+         log.push("start " + name);
+         return new Promise(function(resolve, reject) {
+            control.resolve = function(value) {
+               log.push("end " + name);
+               resolve(value);
+            };
+            control.reject = function(err) {
+               log.push("fail " + name);
+               reject(err);
+            };
+         });
+      };
+      return control;
+   };
+
+   /* Let queued promise callbacks run. */
+   var settle = function() {
+      return new Promise(function(resolve) {
+         setTimeout(resolve, 0);
+      });
+   };
+
+   it('should start straight away when idle', function() {
+      var queue = new OperationQueue();
+      var started = false;
+
+      var result = queue.run(undefined, function() {
+         started = true;
+         return 42;
+      });
+      assert.equal(started, true);
+      return result.then(function(value) {
+         assert.equal(value, 42);
+      });
+   });
+
+   it('should run operations one at a time, in order', function() {
+      var queue = new OperationQueue();
+      var log = [];
+      var first = deferred(log, "first");
+      var second = deferred(log, "second");
+
+      var results = Promise.all([
+         queue.run(undefined, first.operation),
+         queue.run(undefined, second.operation)
+      ]);
+
+      return settle().then(function() {
+         assert.deepEqual(log, [ "start first" ]);
+         first.resolve(1);
+         return settle();
+      }).then(function() {
+         assert.deepEqual(log, [ "start first", "end first", "start second" ]);
+         second.resolve(2);
+         return results;
+      }).then(function(values) {
+         assert.deepEqual(values, [ 1, 2 ]);
+      });
+   });
+
+   it('should carry on after a failure', function() {
+      var queue = new OperationQueue();
+      var log = [];
+      var first = deferred(log, "first");
+
+      var failed = queue.run(undefined, first.operation);
+      var thrown = queue.run(undefined, function() {
+         throw new Error("thrown");
+      });
+      var last = queue.run(undefined, function() {
+         return "last";
+      });
+
+      first.reject(new Error("rejected"));
+      return failed.then(function() {
+         assert.fail("should have failed");
+      }, function(err) {
+         assert.equal(err.message, "rejected");
+         return thrown;
+      }).then(function() {
+         assert.fail("should have failed");
+      }, function(err) {
+         assert.equal(err.message, "thrown");
+         return last;
+      }).then(function(value) {
+         assert.equal(value, "last");
+      });
+   });
+
+   it('should share the promise of an operation with the same key', function() {
+      var queue = new OperationQueue();
+      var log = [];
+      var busy = deferred(log, "busy");
+      var count = 0;
+      var operation = function() {
+         return ++count;
+      };
+
+      queue.run(undefined, busy.operation);
+      var waiting = queue.run("key", operation);
+      assert.strictEqual(queue.run("key", operation), waiting);
+      assert.notStrictEqual(queue.run("other", operation), waiting);
+      assert.notStrictEqual(queue.run(undefined, operation), waiting);
+
+      busy.resolve();
+      return waiting.then(function(value) {
+         assert.equal(value, 1);
+         return settle();
+      }).then(function() {
+         assert.equal(count, 3);
+      });
+   });
+
+   it('should not share an operation that something else is queued behind', function() {
+      var queue = new OperationQueue();
+      var log = [];
+      var busy = deferred(log, "busy");
+      var count = 0;
+      var operation = function() {
+         log.push("keyed");
+         return ++count;
+      };
+
+      queue.run(undefined, busy.operation);
+      var first = queue.run("key", operation);
+      var other = queue.run("other", function() {
+         log.push("other");
+      });
+      var second = queue.run("key", operation);
+
+      assert.notStrictEqual(second, first);
+      assert.strictEqual(queue.run("key", operation), second);
+      busy.resolve();
+      return Promise.all([first, other, second]).then(function(values) {
+         assert.deepEqual(values, [ 1, undefined, 2 ]);
+         assert.deepEqual(log, [ "start busy", "end busy", "keyed", "other", "keyed" ]);
+      });
+   });
+
+   it('should share a running operation, but not a finished one', function() {
+      var queue = new OperationQueue();
+      var log = [];
+      var running = deferred(log, "running");
+
+      var first = queue.run("key", running.operation);
+      assert.strictEqual(queue.run("key", running.operation), first);
+      running.resolve("done");
+
+      return first.then(function() {
+         /* Callers hear about it after the key is forgotten. */
+         var again = queue.run("key", function() {
+            return "again";
+         });
+         assert.notStrictEqual(again, first);
+         return again;
+      }).then(function(value) {
+         assert.equal(value, "again");
+         assert.deepEqual(log, [ "start running", "end running" ]);
+      });
+   });
+});
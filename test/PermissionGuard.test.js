@@ -0,0 +1,124 @@
+/**
+ * @file PermissionGuard tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var NIAuthClient = require('../lib/NIAuthClient.js');
+var PermissionGuard = require('../lib/PermissionGuard.js');
+var PermissionSet = require('../lib/PermissionSet.js');
+
+describe('PermissionGuard', function() {
+
+   var client;
+   var root;
+
+   var grant = function(names) {
+      client._setPermissions(names === undefined ? undefined : new PermissionSet(names.map(function(name) {
+         return { name: name };
+      })));
+   };
+
+   var byId = function(id) {
+      return root.querySelector("#" + id);
+   };
+
+   beforeEach(function() {
+      client = new NIAuthClient();
+      root = document.createElement("div");
+      root.innerHTML =
+         '<button id="deploy" data-niauth-permission="Deploy">Deploy</button>' +
+         '<button id="reboot" data-niauth-permission="Deploy, Reboot" data-niauth-mode="disable">Reboot</button>' +
+         '<input id="busy" data-niauth-permission="Deploy" data-niauth-mode="disable" disabled>' +
+         '<div id="secret" data-niauth-permission="Admin" hidden></div>' +
+         '<p id="plain">Hello</p>';
+      document.body.appendChild(root);
+   });
+
+   afterEach(function() {
+      document.body.removeChild(root);
+   });
+
+   it('should hide and disable elements when started', function() {
+      new PermissionGuard(client, {root: root}).start();
+
+      assert.equal(byId("deploy").hasAttribute("hidden"), true);
+      assert.equal(byId("reboot").hasAttribute("hidden"), false);
+      assert.equal(byId("reboot").hasAttribute("disabled"), true);
+      assert.equal(byId("reboot").getAttribute("aria-disabled"), "true");
+      assert.equal(byId("plain").hasAttribute("hidden"), false);
+   });
+
+   it('should follow permission changes', function() {
+      var guard = new PermissionGuard(client, {root: root}).start();
+
+      grant(["Deploy"]);
+      assert.equal(byId("deploy").hasAttribute("hidden"), false);
+      assert.equal(byId("reboot").hasAttribute("disabled"), true);
+
+      grant(["Deploy", "Reboot"]);
+      assert.equal(byId("reboot").hasAttribute("disabled"), false);
+      assert.equal(byId("reboot").hasAttribute("aria-disabled"), false);
+
+      grant(undefined);
+      assert.equal(byId("deploy").hasAttribute("hidden"), true);
+      assert.equal(byId("reboot").hasAttribute("disabled"), true);
+
+      guard.stop();
+      grant(["Deploy", "Reboot"]);
+      assert.equal(byId("deploy").hasAttribute("hidden"), true);
+      assert.equal(client.listenerCount("permissionsChanged"), 0);
+   });
+
+   it('should leave the page\'s own hidden and disabled alone', function() {
+      new PermissionGuard(client, {root: root}).start();
+
+      grant(["Admin", "Deploy"]);
+      assert.equal(byId("secret").hasAttribute("hidden"), true);
+      assert.equal(byId("busy").hasAttribute("disabled"), true);
+   });
+
+   it('should pick up new elements on update()', function() {
+      var guard = new PermissionGuard(client, {root: root}).start();
+      var link = document.createElement("a");
+      link.setAttribute("data-niauth-permission", "Deploy");
+      root.appendChild(link);
+
+      guard.update();
+      assert.equal(link.hasAttribute("hidden"), true);
+   });
+
+   describe('#routeGuard', function() {
+
+      it('should allow routes or redirect', function() {
+         var guard = new PermissionGuard(client, {redirect: "/login"});
+         var deploy = guard.routeGuard("Deploy");
+         var reboot = guard.routeGuard(["Deploy", "Reboot"], "/forbidden");
+
+         assert.equal(deploy(), "/login");
+         grant(["Deploy"]);
+         assert.equal(deploy(), true);
+         assert.equal(reboot(), "/forbidden");
+         assert.equal(guard.allows("Deploy"), true);
+         assert.equal(guard.allows("Deploy, Reboot"), false);
+      });
+
+      it('should compute redirects', function() {
+         var guard = new PermissionGuard(client);
+         var reboot = guard.routeGuard("Deploy, Reboot", function(to, from, missing) {
+            return "/login?next=" + to + "&need=" + missing.join(",");
+         });
+
+         grant(["Deploy"]);
+         assert.equal(reboot("/reboot", "/"), "/login?next=/reboot&need=Reboot");
+      });
+
+      it('should need somewhere to redirect to', function() {
+         assert.throws(function() {
+            new PermissionGuard(client).routeGuard("Deploy");
+         }, TypeError);
+      });
+   });
+});
@@ -0,0 +1,82 @@
+/**
+ * @file PermissionSet tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var PermissionSet = require('../lib/PermissionSet.js');
+
+describe('PermissionSet', function() {
+
+   var admin = { name: "Admin", builtin: true, id: 1 };
+   var deploy = { name: "Deploy", builtin: false, id: 7 };
+   var operate = { name: "Operate", builtin: false, id: 8 };
+
+   var names = function(permissions) {
+      return permissions.map(function(p) { return p.name; });
+   };
+
+   it('should answer membership queries', function() {
+      var set = new PermissionSet([admin, deploy]);
+
+      assert.equal(set.size, 2);
+      assert.equal(set.has("Admin"), true);
+      assert.equal(set.has("Operate"), false);
+      assert.equal(set.has("hasOwnProperty"), false);
+      assert.equal(set.hasAll(["Admin", "Deploy"]), true);
+      assert.equal(set.hasAll(["Admin", "Operate"]), false);
+      assert.equal(set.hasAll([]), true);
+      assert.equal(set.hasAny(["Operate", "Deploy"]), true);
+      assert.equal(set.hasAny(["Operate"]), false);
+      assert.equal(set.hasAny([]), false);
+   });
+
+   it('should look permissions up by name and ID', function() {
+      var set = new PermissionSet([admin, deploy]);
+
+      assert.strictEqual(set.get("Deploy"), deploy);
+      assert.strictEqual(set.get("Operate"), undefined);
+      assert.strictEqual(set.getById(1), admin);
+      assert.strictEqual(set.getById("7"), deploy);
+      assert.strictEqual(set.getById(8), undefined);
+   });
+
+   it('should list builtin and custom permissions', function() {
+      var set = new PermissionSet([deploy, admin, operate]);
+
+      assert.deepEqual(set.names(), ["Deploy", "Admin", "Operate"]);
+      assert.deepEqual(names(set.toArray()), ["Deploy", "Admin", "Operate"]);
+      assert.deepEqual(names(set.builtin()), ["Admin"]);
+      assert.deepEqual(names(set.custom()), ["Deploy", "Operate"]);
+   });
+
+   it('should ignore repeated names', function() {
+      var set = new PermissionSet([admin, { name: "Admin", builtin: false, id: 99 }]);
+
+      assert.equal(set.size, 1);
+      assert.strictEqual(set.get("Admin"), admin);
+      assert.strictEqual(set.getById(99), undefined);
+   });
+
+   it('should diff two sets', function() {
+      var before = new PermissionSet([admin, deploy]);
+      var after = new PermissionSet([deploy, operate]);
+      var diff = after.diff(before);
+
+      assert.deepEqual(names(diff.added), ["Operate"]);
+      assert.deepEqual(names(diff.removed), ["Admin"]);
+      assert.deepEqual(names(after.diff().added), ["Deploy", "Operate"]);
+      assert.deepEqual(after.diff(after), { added: [], removed: [] });
+   });
+
+   it('should compare sets by name', function() {
+      var set = new PermissionSet([admin, deploy]);
+
+      assert.equal(set.equals(new PermissionSet([deploy, admin])), true);
+      assert.equal(set.equals(new PermissionSet([admin])), false);
+      assert.equal(set.equals(new PermissionSet([admin, operate])), false);
+      assert.equal(set.equals(undefined), false);
+   });
+});
@@ -0,0 +1,43 @@
+/**
+ * @file sha256 library tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var SHA256 = require('../lib/SHA256.js');
+
+describe('SHA256', function() {
+   it('should hash strings', function() {
+      assert.equal(SHA256(""), "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+      assert.equal(SHA256("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+      assert.equal(SHA256("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq"),
+         "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1");
+   });
+
+   it('should hash strings as UTF-8', function() {
+      assert.equal(SHA256("é€😀"),
+         SHA256([ 0xc3, 0xa9, 0xe2, 0x82, 0xac, 0xf0, 0x9f, 0x98, 0x80 ]));
+   });
+
+   it('should handle arrays of bytes', function() {
+      var message = [ 0x61, 0x62, 0x63 ];
+      assert.equal(SHA256(message), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+   });
+
+   it('should handle messages that fill a block', function() {
+      var message = [];
+      for (var i = 0; i < 64; ++i) {
+         message.push(0x61);
+      }
+      assert.equal(SHA256(message), "ffe054fe7ae0cb6dc65c3af9b61d5209f439851db43d0ba5997337df154668eb");
+   });
+
+   // As with SHA1: jsbn BigInteger.toByteArray returns int8 values.
+   it('should handle negative values', function() {
+      var expected = "a0960f8d63bfe4fce6c26ae9e33f8f2d2729239a3bf47c9b5ee9a0c2c456a39e";
+      assert.equal(SHA256([ 0, 0, 0, 0, 0xFF ]), expected);
+      assert.equal(SHA256([ 0, 0, 0, 0, -1 ]), expected);
+   });
+});
@@ -7,7 +7,11 @@
 "use strict";
 var assert = require('assert');
 var SRP = require('../lib/SRP.js');
+var AuthParams = require('../lib/AuthParams.js');
 var Base64 = require('../lib/Base64.js');
+var Crypto = require('../lib/Crypto.js');
+var Errors = require('../lib/Errors.js');
+var Primes = require('../lib/Primes.js');
 var Utils = require('../lib/Utils.js');
 
 // fake database
@@ -58,28 +62,6 @@ var srpDatabase = {
 
 describe('SRP', function() {
 
-   it('should have a mutually-intelligible Client and Server', function() {
-      var username = "brandon";
-      var password = "test";
-
-      var client = new SRP.Client();
-      var server = new SRP.Server(
-         function(username) {
-            // needs to return n, g, v, and s
-            //
-            return srpDatabase[username];
-         });
-
-      var loginInfo = server.startLogin(username);
-
-      client.setIdentity({username:username, password:password});
-      client.setServerInfo(loginInfo);
-      var clientParams = client.generatePublicKeyAndProof();
-      var serverParams = server.finishLogin(clientParams);
-
-      assert.deepEqual(client.sharedKey, server.sharedKey);
-   });
-
    it('can xor hash strings correctly', function() {
       var str1     = "6310e7f959b8d6cb58505a80e7115b2e77502c8e";
       var str2     = "24d65375092b75cb05060f1561c8b079839a3fda";
@@ -88,75 +70,453 @@ describe('SRP', function() {
       assert.deepEqual(Utils.xorHashStrings(str1, str2), expected);
    });
 
-   it('should match results step-by-step', function() {
-      // A bunch of magic values, copied from the C# (Silverlight) implementation.
-      // This is to make sure that we're doing math the same way.
+   Crypto.getAvailableBackends().forEach(function(name) {
+      describe('with the ' + name + ' crypto backend', function() {
+         var previous;
+
+         before(function() {
+            previous = Crypto.getBackend().name;
+            Crypto.setBackend(name);
+         });
+
+         after(function() {
+            Crypto.setBackend(previous);
+         });
+
+         it('should have a mutually-intelligible Client and Server', function() {
+            var username = "brandon";
+            var password = "test";
+
+            var client = new SRP.Client();
+            var server = new SRP.Server(
+               function(username) {
+                  // needs to return n, g, v, and s
+                  //
+                  return srpDatabase[username];
+               });
+
+            var loginInfo = server.startLogin(username);
+
+            client.setIdentity({username:username, password:password});
+            client.setServerInfo(loginInfo);
+            var clientParams = client.generatePublicKeyAndProof();
+            var serverParams = server.finishLogin(clientParams);
+
+            assert.deepEqual(client.sharedKey, server.sharedKey);
+         });
+
+         it('should verify the server\'s proof', function() {
+            var username = "brandon";
+            var password = "test";
+
+            var client = new SRP.Client();
+            var server = new SRP.Server(
+               function(username) {
+                  return srpDatabase[username];
+               });
+
+            var loginInfo = server.startLogin(username);
+
+            client.setIdentity({username:username, password:password});
+            client.setServerInfo(loginInfo);
+            var clientParams = client.generatePublicKeyAndProof();
+            var serverParams = server.finishLogin(clientParams);
+
+            assert.equal(client.verifyServerProof(serverParams.serverProof), true);
+            assert.equal(client.verifyServerProof(serverParams.serverProof.toUpperCase()), true);
+            assert.equal(client.verifyServerProof("0000000000000000000000000000000000000000"), false);
+            assert.equal(client.verifyServerProof(undefined), false);
+         });
+
+         describe('Server', function() {
+
+            var lookup = function(username) {
+               return srpDatabase[username];
+            };
+
+            var handshake = function(server, username, password) {
+               var loginInfo = server.startLogin(username);
+               var client = new SRP.Client();
+               client.setIdentity({username:username, password:password});
+               client.setServerInfo(loginInfo);
+               var clientParams = client.generatePublicKeyAndProof();
+               clientParams.loginToken = loginInfo.loginToken;
+               return clientParams;
+            };
+
+            it('should produce an X-NI-AUTH-PARAMS header', function() {
+               var server = new SRP.Server(lookup);
+               var loginInfo = server.startLogin("brandon");
+               var params = AuthParams.parse(server.getAuthParamsHeader());
+
+               assert.equal(params.N, "2");
+               assert.deepEqual(Base64.decode(params.s), srpDatabase.brandon.s);
+               assert.ok(new SRP.BigInteger(Utils.b64tohex(params.B), 16).equals(loginInfo.serverPublicKey));
+               assert.equal(params.ss, loginInfo.loginToken);
+            });
+
+            it('should accept a valid proof and issue a session', function() {
+               var server = new SRP.Server(lookup);
+               var clientParams = handshake(server, "brandon", "test");
+               var result = server.finishLogin(clientParams);
+
+               assert.equal(typeof result.serverProof, "string");
+               assert.equal(typeof result.sessionId, "string");
+               assert.ok(result.sessionId.length > 0);
+            });
+
+            it('should reject a wrong password', function() {
+               var server = new SRP.Server(lookup);
+               var clientParams = handshake(server, "brandon", "wrong");
+
+               assert.throws(function() {
+                  server.finishLogin(clientParams);
+               }, Errors.AuthenticationFailedError);
+               assert.equal(server.sessionId, undefined);
+            });
+
+            it('should reject an unknown user without giving it away', function() {
+               var server = new SRP.Server(lookup);
+               var clientParams = handshake(server, "nobody", "");
+
+               assert.ok(server.getAuthParamsHeader());
+               assert.throws(function() {
+                  server.finishLogin(clientParams);
+               }, Errors.AuthenticationFailedError);
+            });
+
+            it('should reject A values that are zero mod N', function() {
+               var server = new SRP.Server(lookup);
+               var clientParams = handshake(server, "brandon", "test");
+               var N = server.modulus;
+
+               [SRP.BigInteger.ZERO, N, N.multiply(new SRP.BigInteger("2"))].forEach(function(A) {
+                  assert.throws(function() {
+                     server.finishLogin({
+                        clientPublicKey: A,
+                        clientProof: clientParams.clientProof,
+                        loginToken: clientParams.loginToken
+                     });
+                  }, Errors.ProtocolError);
+               });
+            });
+
+            it('should reject a mismatched login token', function() {
+               var server = new SRP.Server(lookup);
+               var clientParams = handshake(server, "brandon", "test");
+               clientParams.loginToken = "bogus";
+
+               assert.throws(function() {
+                  server.finishLogin(clientParams);
+               }, Errors.ProtocolError);
+            });
+
+            it('should reject A = 1', function() {
+               var server = new SRP.Server(lookup);
+               var clientParams = handshake(server, "brandon", "test");
+
+               assert.throws(function() {
+                  server.finishLogin({
+                     clientPublicKey: SRP.BigInteger.ONE,
+                     clientProof: clientParams.clientProof,
+                     loginToken: clientParams.loginToken
+                  });
+               }, Errors.ProtocolError);
+            });
+
+         });
+
+         describe('Client', function() {
+
+            var serverInfo = function() {
+               var server = new SRP.Server(function(username) {
+                  return srpDatabase[username];
+               });
+               return server.startLogin("brandon");
+            };
 
-      // These are the "input" values, returned by the server.
-      var Nenc = "ieJUvpnjDnS8CjQLseVMV6+bLPH2bNQLFVj1nVgSrCdErkLGUGhosubcgk6I7XoqM417RFquVMZvqgXMwggvoJyvy003qXK1bukOLlW1cRW6KLCzRBljPsMG6WeNbKqAatVX1MDHtc/d35B4q2ZJ/UXDzFCE2H/MbbJH7yylr2c=";
-      var genc = "Cw==";
-      var salt = "K7YIn92KQeT9NfyZx7AYjw==";
-      var Benc = "MUOOiUox8LapdLRLlnBVhd1SK9a1324WdBUtrfzBYAySSo1LgEhtZOQlogbTBGPgfsFcyiH1uo/WcWSRzMyg27wfryZIKpEcENAZXly+3Wzy1rTSo8ZY4x9EwcK9HjV+TQxN5uvJ+zCcz/yxO5oLSSdKY7KLvvGtX7LVdENcEeE=";
-      var username = "JohnDoe";
-      var password = "secret";
+            it('should reject B = 0, 1, N and 2N', function() {
+               var info = serverInfo();
+               var N = info.modulus;
 
-      // For this test, we don't use SRP.a() to generate a random number.
-      var aenc = "eCUSboAbAdL0ZMy4zGq7CmulHcC94mVWD8GRy1HbfZg4MOuDQWYOio2H9Lfr27tCuHG5BSgZZudy1XX8SVm4hOvDZKNeQBcplWwadPmHjxyFHEByR5XbReJ+cLT5K7n/YdIwoJSwYj81HQYoOFjwKukKYQvh5zStm0EDAXZvdfg=";
+               [SRP.BigInteger.ZERO, SRP.BigInteger.ONE, N, N.multiply(new SRP.BigInteger("2"))].forEach(function(B) {
+                  var client = new SRP.Client();
+                  client.setIdentity({username:"brandon", password:"test"});
+                  info.serverPublicKey = B;
+                  client.setServerInfo(info);
 
-      // These are the expected outputs.
-      var Aenc = "bCRv5uIvBUyDZ7owIXxC9hCPUwK9/wndbcypk2Qnc5wiak5KSpe0eE6Mi/1PweqE9mu8WbpkHrVjiXUKNsPeyS9IkxieMKfsHw7WRTlSnsgFVInSo/UlKTDqP8gPxbgo9l/f6T9798z/uTeO+yk/ABHbPOPJamF/b+HWUKjSATk=";
-      var uenc = "TY5+GM9i+WIqiTh7QDCcnYPJbE0=";
-      var kenc = "B64MpqqSRGUVRn0f3LdsfHJYMMw=";
-      var xenc = "psfVoz95IZaeVyUg5tAZSZdJTNU=";
-      var Senc = "H9jbD04W810duG5/yFeSw2mW81wKTZ4g3QE5VDZRa/nG+QZ//I2cVHFn6r8z1oWuBm6lf3d/Ade2qWV4xeqyEjiAJjCO9gcvqS/d4k0Tv9UBiGPx9JA16HTaUO3C5ixFY3qQ3+Uf25jXHvuSfMsPIS6cQUtfQBRN8/r6wqNBG9c=";
-      var Kenc = "86sYQyRFKP7A0lZWYHh13/3ZuMQaghRBnH+jDhvAO9pb6ToWBueFhw==";
-      var Mcenc = "7+gitq19/I//F43+6gnRgQrtfmU=";
-      var Msenc = "keoskY9NXrDYAZ2h3QCY2TTs5mM=";
+                  assert.throws(function() {
+                     client.generatePublicKeyAndProof();
+                  }, Errors.ProtocolError);
+                  assert.equal(client.sharedKey, undefined);
+                  assert.equal(client.password, undefined);
+               });
+            });
 
-      var SRPOps = SRP.SRPOps;
-      var BigInteger = SRP.BigInteger;
+            it('should forget the password once it has been used', function() {
+               var client = new SRP.Client();
+               client.setIdentity({username:"brandon", password:"test"});
+               client.setServerInfo(serverInfo());
+               client.generatePublicKeyAndProof();
 
-      var N = new BigInteger(Utils.b64tohex(Nenc), 16);
+               assert.equal(client.password, undefined);
+               assert.equal(client.username, "brandon");
+            });
 
-      var g = new BigInteger(Utils.b64tohex(genc), 16);
-      var s = Utils.hashStringToByteArray(Utils.b64tohex(salt));
-      var B = new BigInteger(Utils.b64tohex(Benc), 16);
+            it('should wipe the shared key', function() {
+               var client = new SRP.Client();
+               client.setIdentity({username:"brandon", password:"test"});
+               client.setServerInfo(serverInfo());
+               client.generatePublicKeyAndProof();
 
-      var a = new BigInteger(Utils.b64tohex(aenc), 16);
+               var K = client.sharedKey;
+               client.wipe();
 
-      // And now, the math!
+               assert.equal(client.sharedKey, undefined);
+               assert.ok(K.length > 0);
+               K.forEach(function(b) {
+                  assert.equal(b, 0);
+               });
+               assert.equal(client.verifyServerProof("0000000000000000000000000000000000000000"), false);
+            });
 
-      var A = SRPOps.A(N, g, a);
-      var AencActual = Utils.bigIntToBase64(A, 128);
-      assert.deepEqual(AencActual, Aenc);
+            it('should refuse server proofs that aren\'t hex', function() {
+               var server = new SRP.Server(function(username) {
+                  return srpDatabase[username];
+               });
+               var client = new SRP.Client();
+               client.setIdentity({username:"brandon", password:"test"});
+               client.setServerInfo(server.startLogin("brandon"));
+               var serverParams = server.finishLogin(client.generatePublicKeyAndProof());
 
-      var u = SRPOps.u(A, B);
-      var uencActual = Utils.bigIntToBase64(u, 20);
-      assert.deepEqual(uencActual, uenc);
+               assert.equal(client.verifyServerProof(serverParams.serverProof + "0"), false);
+               assert.equal(client.verifyServerProof(serverParams.serverProof.slice(2)), false);
+               assert.equal(client.verifyServerProof("zz" + serverParams.serverProof.slice(2)), false);
+               assert.equal(client.verifyServerProof(serverParams.serverProof), true);
+            });
 
-      var k = SRPOps.k(N, g);
-      var kencActual = Utils.bigIntToBase64(k, 20);
-      assert.deepEqual(kencActual, kenc);
+         });
+
+         it('should match results step-by-step', function() {
+            // A bunch of magic values, copied from the C# (Silverlight) implementation.
+            // This is to make sure that we're doing math the same way.
+
+            // These are the "input" values, returned by the server.
+            var Nenc = "ieJUvpnjDnS8CjQLseVMV6+bLPH2bNQLFVj1nVgSrCdErkLGUGhosubcgk6I7XoqM417RFquVMZvqgXMwggvoJyvy003qXK1bukOLlW1cRW6KLCzRBljPsMG6WeNbKqAatVX1MDHtc/d35B4q2ZJ/UXDzFCE2H/MbbJH7yylr2c=";
+            var genc = "Cw==";
+            var salt = "K7YIn92KQeT9NfyZx7AYjw==";
+            var Benc = "MUOOiUox8LapdLRLlnBVhd1SK9a1324WdBUtrfzBYAySSo1LgEhtZOQlogbTBGPgfsFcyiH1uo/WcWSRzMyg27wfryZIKpEcENAZXly+3Wzy1rTSo8ZY4x9EwcK9HjV+TQxN5uvJ+zCcz/yxO5oLSSdKY7KLvvGtX7LVdENcEeE=";
+            var username = "JohnDoe";
+            var password = "secret";
+
+            // For this test, we don't use SRP.a() to generate a random number.
+            var aenc = "eCUSboAbAdL0ZMy4zGq7CmulHcC94mVWD8GRy1HbfZg4MOuDQWYOio2H9Lfr27tCuHG5BSgZZudy1XX8SVm4hOvDZKNeQBcplWwadPmHjxyFHEByR5XbReJ+cLT5K7n/YdIwoJSwYj81HQYoOFjwKukKYQvh5zStm0EDAXZvdfg=";
+
+            // These are the expected outputs.
+            var Aenc = "bCRv5uIvBUyDZ7owIXxC9hCPUwK9/wndbcypk2Qnc5wiak5KSpe0eE6Mi/1PweqE9mu8WbpkHrVjiXUKNsPeyS9IkxieMKfsHw7WRTlSnsgFVInSo/UlKTDqP8gPxbgo9l/f6T9798z/uTeO+yk/ABHbPOPJamF/b+HWUKjSATk=";
+            var uenc = "TY5+GM9i+WIqiTh7QDCcnYPJbE0=";
+            var kenc = "B64MpqqSRGUVRn0f3LdsfHJYMMw=";
+            var xenc = "psfVoz95IZaeVyUg5tAZSZdJTNU=";
+            var Senc = "H9jbD04W810duG5/yFeSw2mW81wKTZ4g3QE5VDZRa/nG+QZ//I2cVHFn6r8z1oWuBm6lf3d/Ade2qWV4xeqyEjiAJjCO9gcvqS/d4k0Tv9UBiGPx9JA16HTaUO3C5ixFY3qQ3+Uf25jXHvuSfMsPIS6cQUtfQBRN8/r6wqNBG9c=";
+            var Kenc = "86sYQyRFKP7A0lZWYHh13/3ZuMQaghRBnH+jDhvAO9pb6ToWBueFhw==";
+            var Mcenc = "7+gitq19/I//F43+6gnRgQrtfmU=";
+            var Msenc = "keoskY9NXrDYAZ2h3QCY2TTs5mM=";
+
+            var SRPOps = SRP.SRPOps;
+            var BigInteger = SRP.BigInteger;
+
+            var N = new BigInteger(Utils.b64tohex(Nenc), 16);
+
+            var g = new BigInteger(Utils.b64tohex(genc), 16);
+            var s = Utils.hashStringToByteArray(Utils.b64tohex(salt));
+            var B = new BigInteger(Utils.b64tohex(Benc), 16);
+
+            var a = new BigInteger(Utils.b64tohex(aenc), 16);
+
+            // And now, the math!
+
+            var A = SRPOps.A(N, g, a);
+            var AencActual = Utils.bigIntToBase64(A, 128);
+            assert.deepEqual(AencActual, Aenc);
+
+            var u = SRPOps.u(A, B);
+            var uencActual = Utils.bigIntToBase64(u, 20);
+            assert.deepEqual(uencActual, uenc);
+
+            var k = SRPOps.k(N, g);
+            var kencActual = Utils.bigIntToBase64(k, 20);
+            assert.deepEqual(kencActual, kenc);
+
+            var x = SRPOps.x(s, username, password);
+            var xencActual = Utils.bigIntToBase64(x, 20);
+            assert.deepEqual(xencActual, xenc);
+
+            var S = SRPOps.Sc(N, g, B, k, x, a, u);
+            var SencActual = Utils.bigIntToBase64(S, 128);
+            assert.deepEqual(SencActual, Senc);
+
+            var K = SRPOps.K(S);
+            var KencActual = Base64.encode(K);
+            assert.deepEqual(KencActual, Kenc);
+
+            var Mc = SRPOps.Mc(N, g, username, s, A, B, K);
+            var McencActual = Utils.hexStringToBase64(Mc);
+            assert.deepEqual(McencActual, Mcenc);
+
+            var Ms = SRPOps.Ms(A, Mc, K);
+            var MsencActual = Utils.hexStringToBase64(Ms);
+            assert.deepEqual(MsencActual, Msenc);
+         });
+
+         it('should match the RFC 5054 test vectors', function() {
+            // RFC 5054, Appendix B: the 1024-bit group with SHA-1. The RFC
+            // doesn't cover K or M, which are NIAuth's own.
+            var group = Primes.getGroup("rfc5054-1024");
+            var N = group.n;
+            var g = group.g;
+            var s = Utils.hashStringToByteArray("beb25379d1a8581eb5a727673a2441ee");
+            var a = new SRP.BigInteger("60975527035cf2ad1989806f0407210bc81edc04e2762a56afd529ddda2d4393", 16);
+            var b = new SRP.BigInteger("e487cb59d31ac550471e81f00f6928e01dda08e974a004f49e61f5d105284d20", 16);
+            var SRPOps = SRP.getOps("SHA-1", group.length);
+
+            var hex = function(x) {
+               return x.toString(16);
+            };
+
+            var k = SRPOps.k(N, g);
+            assert.equal(hex(k), "7556aa045aef2cdd07abaf0f665c3e818913186f");
 
-      var x = SRPOps.x(s, username, password);
-      var xencActual = Utils.bigIntToBase64(x, 20);
-      assert.deepEqual(xencActual, xenc);
+            var x = SRPOps.x(s, "alice", "password123");
+            assert.equal(hex(x), "94b7555aabe9127cc58ccf4993db6cf84d16c124");
 
-      var S = SRPOps.Sc(N, g, B, k, x, a, u);
-      var SencActual = Utils.bigIntToBase64(S, 128);
-      assert.deepEqual(SencActual, Senc);
+            var v = SRPOps.v(N, g, x);
+            assert.equal(hex(v),
+               "7e273de8696ffc4f4e337d05b4b375beb0dde1569e8fa00a9886d8129bada1f1" +
+               "822223ca1a605b530e379ba4729fdc59f105b4787e5186f5c671085a1447b52a" +
+               "48cf1970b4fb6f8400bbf4cebfbb168152e08ab5ea53d15c1aff87b2b9da6e04" +
+               "e058ad51cc72bfc9033b564e26480d78e955a5e29e7ab245db2be315e2099afb");
+
+            var A = SRPOps.A(N, g, a);
+            assert.equal(hex(A),
+               "61d5e490f6f1b79547b0704c436f523dd0e560f0c64115bb72557ec44352e890" +
+               "3211c04692272d8b2d1a5358a2cf1b6e0bfcf99f921530ec8e39356179eae45e" +
+               "42ba92aeaced825171e1e8b9af6d9c03e1327f44be087ef06530e69f66615261" +
+               "eef54073ca11cf5858f0edfdfe15efeab349ef5d76988a3672fac47b0769447b");
+
+            var B = SRPOps.B(N, g, v, b);
+            assert.equal(hex(B),
+               "bd0c61512c692c0cb6d041fa01bb152d4916a1e77af46ae105393011baf38964" +
+               "dc46a0670dd125b95a981652236f99d9b681cbf87837ec996c6da04453728610" +
+               "d0c6ddb58b318885d7d82c7f8deb75ce7bd4fbaa37089e6f9c6059f388838e7a" +
+               "00030b331eb76840910440b1b27aaeaeeb4012b7d7665238a8e3fb004b117b58");
+
+            var u = SRPOps.u(A, B);
+            assert.equal(hex(u), "ce38b9593487da98554ed47d70a7ae5f462ef019");
+
+            var S = SRPOps.Sc(N, g, B, k, x, a, u);
+            assert.equal(hex(S),
+               "b0dc82babcf30674ae450c0287745e7990a3381f63b387aaf271a10d233861e3" +
+               "59b48220f7c4693c9ae12b0a6f67809f0876e2d013800d6c41bb59b6d5979b5c" +
+               "00a172b4a2a5903a0bdcaf8a709585eb2afafa8f3499b200210dcc1f10eb3394" +
+               "3cd67fc88a2f39a4be5bec4ec0a3212dc346d7e474b29ede8a469ffeca686e5a");
+            assert.ok(SRPOps.Ss(N, A, v, u, b).equals(S));
+         });
+
+         it('should match the RFC 5054 x when hashing asynchronously', function() {
+            var group = Primes.getGroup("rfc5054-1024");
+            var s = Utils.hashStringToByteArray("beb25379d1a8581eb5a727673a2441ee");
+
+            return SRP.getOps("SHA-1", group.length).xAsync(s, "alice", "password123").then(function(x) {
+               assert.equal(x.toString(16), "94b7555aabe9127cc58ccf4993db6cf84d16c124");
+            });
+         });
+
+         it('should create the same verifiers asynchronously', function() {
+            var group = Primes.getGroup("rfc5054-2048");
+
+            return SRP.createVerifierAsync("alice", "password123", group.n, group.g, "SHA-256").then(function(verifier) {
+               var ops = SRP.getOps("SHA-256", group.length);
+               assert.ok(verifier.verifier.equals(ops.v(group.n, group.g, ops.x(verifier.salt, "alice", "password123"))));
+            });
+         });
+      });
+   });
+
+   describe('groups and hashes', function() {
+
+      var login = function(groupId, hash) {
+         var group = Primes.getGroup(groupId);
+         var verifier = SRP.createVerifier("alice", "password123", group.n, group.g, hash);
+         var server = new SRP.Server(function() {
+            return {
+               n: Utils.bigIntegerToBytes(group.n, group.length),
+               g: group.g.toByteArray(),
+               s: verifier.salt,
+               v: Utils.bigIntegerToBytes(verifier.verifier, group.length),
+               hash: hash
+            };
+         });
+
+         var loginInfo = server.startLogin("alice");
+         var client = new SRP.Client();
+         client.setIdentity({username:"alice", password:"password123"});
+         client.setServerInfo(loginInfo);
+         var clientParams = client.generatePublicKeyAndProof();
+         var result = server.finishLogin(clientParams);
+
+         assert.equal(client.verifyServerProof(result.serverProof), true);
+         return {server: server, client: client};
+      };
+
+      [
+         ["rfc5054-1024", "SHA-1"],
+         ["rfc5054-1536", "SHA-1"],
+         ["rfc5054-2048", "SHA-256"],
+         ["rfc5054-3072", "SHA-256"],
+         ["rfc5054-4096", "SHA-256"],
+         ["0", "SHA-256"]
+      ].forEach(function(params) {
+         it('should log in with ' + params[0] + ' and ' + params[1], function() {
+            var result = login(params[0], params[1]);
+            var group = Primes.getGroup(params[0]);
+            var header = AuthParams.parse(result.server.getAuthParamsHeader());
+
+            assert.equal(header.N, params[0]);
+            assert.equal(header.H, params[1] === "SHA-1" ? undefined : params[1]);
+            assert.equal(Base64.decode(header.B).length, group.length);
+            assert.equal(result.client.sharedKey.length, params[1] === "SHA-1" ? 40 : 64);
+         });
+      });
+
+      it('should only work with the same hash on both ends', function() {
+         var group = Primes.getGroup("rfc5054-2048");
+         var verifier = SRP.createVerifier("alice", "password123", group.n, group.g, "SHA-256");
+         var server = new SRP.Server(function() {
+            return {
+               n: Utils.bigIntegerToBytes(group.n, group.length),
+               g: group.g.toByteArray(),
+               s: verifier.salt,
+               v: Utils.bigIntegerToBytes(verifier.verifier, group.length),
+               hash: "SHA-256"
+            };
+         });
 
-      var K = SRPOps.K(S);
-      var KencActual = Base64.encode(K);
-      assert.deepEqual(KencActual, Kenc);
+         var loginInfo = server.startLogin("alice");
+         loginInfo.hash = "SHA-1";
+         var client = new SRP.Client();
+         client.setIdentity({username:"alice", password:"password123"});
+         client.setServerInfo(loginInfo);
 
-      var Mc = SRPOps.Mc(N, g, username, s, A, B, K);
-      var McencActual = Utils.hexStringToBase64(Mc);
-      assert.deepEqual(McencActual, Mcenc);
+         assert.throws(function() {
+            server.finishLogin(client.generatePublicKeyAndProof());
+         }, Errors.AuthenticationFailedError);
+      });
 
-      var Ms = SRPOps.Ms(A, Mc, K);
-      var MsencActual = Utils.hexStringToBase64(Ms);
-      assert.deepEqual(MsencActual, Msenc);
+      it('should refuse unsupported hashes', function() {
+         assert.throws(function() {
+            SRP.getOps("MD5", 128);
+         }, TypeError);
+      });
    });
 
 });
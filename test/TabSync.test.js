@@ -0,0 +1,148 @@
+/**
+ * @file cross-tab messaging tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var BroadcastChannel = require('worker_threads').BroadcastChannel;
+var TabSync = require('../lib/TabSync.js');
+
+describe('TabSync', function() {
+
+   /*
+    * Windows that share a localStorage, which (like a browser) fires
+    * storage events in every window except the one that changed it.
+    */
+   var makeWindows = function(count) {
+      var items = {};
+      var windows = [];
+      var makeWindow = function() {
+         var listeners = [];
+         var win = {
+            addEventListener: function(type, listener) {
+               assert.equal(type, "storage");
+               listeners.push(listener);
+            },
+            removeEventListener: function(type, listener) {
+               listeners.splice(listeners.indexOf(listener), 1);
+            },
+            dispatch: function(event) {
+               listeners.slice().forEach(function(listener) {
+                  listener(event);
+               });
+            }
+         };
+         var change = function(key, value) {
+            if (value === null) {
+               delete items[key];
+            } else {
+               items[key] = value;
+            }
+            windows.forEach(function(other) {
+               if (other !== win) {
+                  other.dispatch({key: key, newValue: value});
+               }
+            });
+         };
+         win.localStorage = {
+            getItem: function(key) {
+               return items.hasOwnProperty(key) ? items[key] : null;
+            },
+            setItem: function(key, value) {
+               change(key, String(value));
+            },
+            removeItem: function(key) {
+               change(key, null);
+            }
+         };
+         return win;
+      };
+      for (var i = 0; i < count; ++i) {
+         windows.push(makeWindow());
+      }
+      windows.items = items;
+      return windows;
+   };
+
+   it('should know when tabs can talk', function() {
+      assert.equal(TabSync.isSupported({}), false);
+      assert.equal(TabSync.isSupported({BroadcastChannel: BroadcastChannel}), true);
+      assert.equal(TabSync.isSupported(makeWindows(1)[0]), true);
+      assert.equal(TabSync.isSupported({
+         addEventListener: function() {},
+         get localStorage() { throw new Error("SecurityError"); }
+      }), false);
+   });
+
+   describe('over storage events', function() {
+
+      it('should send messages to the other tabs', function() {
+         var windows = makeWindows(3);
+         var heard = [ [], [], [] ];
+         var syncs = windows.map(function(win, i) {
+            return new TabSync("niauth:test", function(message) {
+               heard[i].push(message);
+            }, win);
+         });
+
+         syncs[0].post({username: "admin"});
+         syncs[0].post({username: "admin"});
+         syncs[2].post({username: ""});
+
+         assert.deepEqual(heard[0], [ {username: ""} ]);
+         assert.deepEqual(heard[1], [ {username: "admin"}, {username: "admin"}, {username: ""} ]);
+         assert.deepEqual(heard[2], [ {username: "admin"}, {username: "admin"} ]);
+         assert.deepEqual(windows.items, {});
+      });
+
+      it('should ignore other keys and garbage', function() {
+         var win = makeWindows(1)[0];
+         var heard = [];
+         var sync = new TabSync("niauth:test", function(message) {
+            heard.push(message);
+         }, win);
+
+         win.dispatch({key: "other", newValue: JSON.stringify({message: "hi"})});
+         win.dispatch({key: "niauth:test", newValue: "{"});
+         win.dispatch({key: "niauth:test", newValue: null});
+         sync.close();
+         win.dispatch({key: "niauth:test", newValue: JSON.stringify({message: "hi"})});
+
+         assert.deepEqual(heard, []);
+      });
+
+      it('should carry on when storage fails', function() {
+         var windows = makeWindows(2);
+         windows[0].localStorage.setItem = function() {
+            throw new Error("QuotaExceededError");
+         };
+         var sync = new TabSync("niauth:test", function() {}, windows[0]);
+         sync.post({username: "admin"});
+      });
+   });
+
+   describe('over a BroadcastChannel', function() {
+
+      var win = {BroadcastChannel: BroadcastChannel};
+
+      it('should send messages to the other tabs', function() {
+         var first = new TabSync("niauth:test", function() {
+            assert.fail("heard its own message");
+         }, win);
+         var heard;
+         var received = new Promise(function(resolve) {
+            heard = resolve;
+         });
+         var second = new TabSync("niauth:test", heard, win);
+
+         first.post({username: "admin", permissions: [ {name: "Admin"} ]});
+         return received.then(function(message) {
+            assert.deepEqual(message, {username: "admin", permissions: [ {name: "Admin"} ]});
+            first.close();
+            second.close();
+         });
+      });
+   });
+});
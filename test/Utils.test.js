@@ -6,18 +6,58 @@
 
 "use strict";
 var assert = require('assert');
+var BigInteger = require('jsbn').BigInteger;
 var NIAuthenticator = require('../lib/Utils.js');
 
 describe('Utils', function() {
 
-   describe('#splitParamsString', function() {
-      it('should split param strings', function() {
-         var srcString = "N=4,s=K7YIn92KQeT9NfyZx7AYjw==,B=5axg064+LI3qRPuYDbJOgFHZ32OqLibrkDrLnL2pw3GDmoQ6lIPOLgUJjCmkrN35S+dXsFxMzXOLsZwz8JwojmjF+DwnRKCv+Uf49V378xvX7pg4hc=";
-         var params = NIAuthenticator.splitParamsString(srcString);
+   describe('#constantTimeEquals', function() {
+      it('should compare byte arrays', function() {
+         assert.equal(NIAuthenticator.constantTimeEquals([1, 2, 3], [1, 2, 3]), true);
+         assert.equal(NIAuthenticator.constantTimeEquals([1, 2, 3], [1, 2, 4]), false);
+         assert.equal(NIAuthenticator.constantTimeEquals([1, 2, 3], [1, 2]), false);
+         assert.equal(NIAuthenticator.constantTimeEquals([], []), true);
+      });
+
+      it('should treat negative and unsigned bytes the same', function() {
+         assert.equal(NIAuthenticator.constantTimeEquals([0xFF, 0x80], [-1, -128]), true);
+      });
+   });
+
+   describe('#constantTimeEqualsHex', function() {
+      it('should compare hex strings regardless of case', function() {
+         assert.equal(NIAuthenticator.constantTimeEqualsHex("00ff10", "00FF10"), true);
+         assert.equal(NIAuthenticator.constantTimeEqualsHex("00ff10", "00ff11"), false);
+         assert.equal(NIAuthenticator.constantTimeEqualsHex("00ff10", "00ff"), false);
+      });
+
+      it('should never match things that aren\'t hex', function() {
+         assert.equal(NIAuthenticator.constantTimeEqualsHex("zz", "00"), false);
+         assert.equal(NIAuthenticator.constantTimeEqualsHex("zz", "zz"), false);
+         assert.equal(NIAuthenticator.constantTimeEqualsHex("0", "0"), false);
+         assert.equal(NIAuthenticator.constantTimeEqualsHex(undefined, "00"), false);
+      });
+   });
+
+   describe('#zeroize', function() {
+      it('should overwrite byte arrays', function() {
+         var bytes = [1, 2, 3];
+         NIAuthenticator.zeroize(bytes);
+         assert.deepEqual(bytes, [0, 0, 0]);
+      });
+
+      it('should overwrite BigIntegers', function() {
+         var n = new BigInteger("123456789abcdef0123456789abcdef0123456789abcdef", 16);
+         NIAuthenticator.zeroize(n);
+         assert.ok(n.equals(BigInteger.ZERO));
+         for (var i = 0; n[i] !== undefined; ++i) {
+            assert.equal(n[i], 0);
+         }
+      });
 
-         assert.equal(params.N, "4");
-         assert.equal(params.s, "K7YIn92KQeT9NfyZx7AYjw==");
-         assert.equal(params.B, "5axg064+LI3qRPuYDbJOgFHZ32OqLibrkDrLnL2pw3GDmoQ6lIPOLgUJjCmkrN35S+dXsFxMzXOLsZwz8JwojmjF+DwnRKCv+Uf49V378xvX7pg4hc=");
+      it('should leave other things alone', function() {
+         NIAuthenticator.zeroize(undefined);
+         NIAuthenticator.zeroize("secret");
       });
    });
 
@@ -0,0 +1,73 @@
+/**
+ * @file XML parsing tests
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+"use strict";
+var assert = require('assert');
+var Errors = require('../lib/Errors.js');
+var XML = require('../lib/XML.js');
+
+describe('XML', function() {
+
+   var originalWarn = console.warn;
+   var originalError = console.error;
+   var logged;
+
+   beforeEach(function() {
+      logged = [];
+      console.warn = console.error = function() {
+         logged.push(Array.prototype.join.call(arguments, " "));
+      };
+   });
+
+   afterEach(function() {
+      console.warn = originalWarn;
+      console.error = originalError;
+      delete global.DOMParser;
+   });
+
+   it('should parse a document', function() {
+      var doc = XML.parse("<Permissions><Permission><name>Admin</name></Permission></Permissions>");
+
+      assert.equal(doc.documentElement.tagName, "Permissions");
+      assert.equal(doc.getElementsByTagName("name")[0].textContent, "Admin");
+   });
+
+   it('should throw a ProtocolError for an empty string', function() {
+      assert.throws(function() {
+         XML.parse("");
+      }, Errors.ProtocolError);
+      assert.deepEqual(logged, []);
+   });
+
+   it('should throw a ProtocolError for text without an element', function() {
+      assert.throws(function() {
+         XML.parse("Logged in as: admin");
+      }, Errors.ProtocolError);
+      assert.deepEqual(logged, []);
+   });
+
+   it('should not log warnings about sloppy HTML', function() {
+      var doc = XML.parse("<html><body><p>Not found</body></html>");
+
+      assert.equal(doc.documentElement.tagName, "html");
+      assert.deepEqual(logged, []);
+   });
+
+   it('should throw a ProtocolError for a browser\'s <parsererror>', function() {
+      var XMLDOMParser = require('@xmldom/xmldom').DOMParser;
+      global.DOMParser = function() {};
+      global.DOMParser.prototype.parseFromString = function() {
+         return new XMLDOMParser().parseFromString(
+            '<parsererror xmlns="http://www.mozilla.org/newlayout/xml/parsererror.xml">' +
+            'XML Parsing Error: no root element found</parsererror>', 'application/xml');
+      };
+
+      assert.throws(function() {
+         XML.parse("");
+      }, Errors.ProtocolError);
+   });
+
+});
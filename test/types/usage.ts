@@ -0,0 +1,145 @@
+/**
+ * @file Compile-time checks of the type definitions (npm run test:types)
+ * @copyright National Instruments, 2016-2017
+ * @license MIT
+ */
+
+import NIAuth = require('../..');
+import SRP = require('../../lib/SRP');
+
+const expectType = <T>(value: T): T => value;
+
+async function topLevel(): Promise<void> {
+   expectType<string>(await NIAuth.login('admin', 'secret'));
+   expectType<string>(await NIAuth.login('admin', 'secret', { switchUser: true }));
+   expectType<boolean>(await NIAuth.logout());
+   expectType<boolean>(await NIAuth.updateFromSession());
+   expectType<boolean>(NIAuth.hasPermission('Admin'));
+   expectType<string>(NIAuth.getUserName());
+
+   const permissions: NIAuth.PermissionSet = await NIAuth.getAggregateUserPermissions('admin');
+   const deploy: NIAuth.Permission | undefined = permissions.get('Deploy');
+   if (deploy) {
+      expectType<string>(deploy.name);
+      expectType<boolean>(deploy.builtin);
+      expectType<number>(deploy.id);
+   }
+   expectType<NIAuth.Permission[]>(permissions.diff(NIAuth.getPermissions()).added);
+
+   NIAuth.on('permissionsChanged', (newPermissions, oldPermissions) => {
+      expectType<NIAuth.PermissionSet | undefined>(newPermissions);
+      expectType<NIAuth.PermissionSet | undefined>(oldPermissions);
+   });
+   NIAuth.on('login', (username) => expectType<string>(username));
+
+   // @ts-expect-error - no such event
+   NIAuth.on('loggedIn', () => undefined);
+   // @ts-expect-error - the password is required
+   NIAuth.login('admin');
+
+   expectType<'js' | 'native'>(NIAuth.getCryptoBackend());
+   NIAuth.setCryptoBackend('js');
+}
+
+async function clients(): Promise<void> {
+   const target = new NIAuth.NIAuthClient({
+      baseUrl: 'http://10.0.0.2:8080',
+      cookieJar: new NIAuth.CookieJar(),
+      storage: null,
+      syncTabs: false,
+      logger: console,
+      logLevel: 'debug',
+      getCredentials: () => Promise.resolve({ username: 'admin', password: 'secret' })
+   });
+
+   const controller = new AbortController();
+   expectType<string>(await target.login('admin', 'secret', { signal: controller.signal, timeout: 5000, retry: { retries: 2 } }));
+   await target.updateFromSession({ retry: 1 });
+   // @ts-expect-error - a timeout is a number of milliseconds
+   await target.logout({ timeout: '5s' });
+
+   const response: Response = await target.authFetch('/MyService/DoThing', { method: 'POST', timeout: 1000 });
+   expectType<number>(response.status);
+
+   const users: NIAuth.User[] = await target.getUsers();
+   const groups: NIAuth.Group[] = await target.getGroups();
+   expectType<string[]>(users[0].groups);
+   expectType<boolean>(groups[0].permissions.has('Admin'));
+
+   await target.addUser('operator', 'password', { srpGroup: 'rfc5054-2048', hash: 'SHA-256' });
+   // @ts-expect-error - not a hash we support
+   await target.setUserPassword('operator', 'password', { hash: 'MD5' });
+
+   try {
+      await target.login('operator', 'wrong');
+   } catch (err) {
+      if (err instanceof NIAuth.AlreadyLoggedInError) {
+         expectType<string>(err.username);
+      } else if (err instanceof NIAuth.TimeoutError) {
+         expectType<number>(err.timeout);
+      } else if (err instanceof NIAuth.UnexpectedStatusError) {
+         expectType<number>(err.status);
+      } else if (err instanceof NIAuth.NIAuthError) {
+         expectType<string>(err.code);
+      }
+   }
+
+   const guard = new NIAuth.PermissionGuard(NIAuth, { redirect: '/login' }).start();
+   const canDeploy = guard.routeGuard('Deploy');
+   expectType<true | string>(canDeploy('/deploy'));
+   new NIAuth.PermissionGuard(target, { root: document.body }).update();
+   target.stopTabSync();
+
+   NIAuth.setLogger({ log: (message: string) => undefined }, 'info');
+   // @ts-expect-error - not a log level
+   NIAuth.setLogger(console, 'verbose');
+   NIAuth.startTrace();
+   const trace: NIAuth.TraceEntry[] = NIAuth.stopTrace();
+   expectType<string>(trace[0].step);
+
+   const info: NIAuth.ChallengeInfo = NIAuth.AuthParams.parseChallenge(response.headers.get('X-NI-AUTH-PARAMS'));
+   expectType<string>(NIAuth.AuthParams.serialize({ N: info.srpGroup, ss: info.loginToken }));
+}
+
+function srp(): void {
+   const group = NIAuth.AuthParams.parseChallenge('N=0,s=AQI=,B=AAE_,ss=token');
+   const verifier = SRP.createVerifier('admin', 'secret', group.modulus, group.generator, 'SHA-256');
+   SRP.createVerifierAsync('admin', 'secret', group.modulus, group.generator).then((v) => expectType<SRP.Bytes>(v.salt));
+
+   const server = new SRP.Server((username: string) => username === 'admin' ? {
+      n: group.modulus.toByteArray(),
+      g: group.generator.toByteArray(),
+      s: verifier.salt,
+      v: verifier.verifier.toByteArray(),
+      hash: 'SHA-256'
+   } : undefined);
+   const loginInfo: SRP.LoginInfo = server.startLogin('admin');
+
+   const client = new SRP.Client();
+   client.setIdentity({ username: 'admin', password: 'secret' });
+   client.setServerInfo(loginInfo);
+   client.setServerInfo({
+      modulus: group.modulus,
+      generator: group.generator,
+      salt: group.salt,
+      serverPublicKey: group.serverPublicKey
+   });
+   // @ts-expect-error - the server's public key is required
+   client.setServerInfo({ modulus: group.modulus, generator: group.generator, salt: group.salt });
+
+   const params = client.generatePublicKeyAndProof();
+   const result = server.finishLogin({
+      clientPublicKey: params.clientPublicKey,
+      clientProof: params.clientProof,
+      loginToken: loginInfo.loginToken
+   });
+   expectType<boolean>(client.verifyServerProof(result.serverProof));
+   client.wipe();
+
+   const ops: SRP.SRPOperations = SRP.getOps('SHA-256', 256);
+   const a: SRP.BigInteger = SRP.SRPOps.a();
+   expectType<SRP.BigInteger>(ops.A(group.modulus, group.generator, a));
+   expectType<string>(new SRP.BigInteger('ff', 16).toString(16));
+}
+
+export { topLevel, clients, srp };